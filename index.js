@@ -1,7 +1,8 @@
+// Load environment variables first: imported modules read their settings when they load
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import dotenv from 'dotenv';
 import { PrismaClient } from '@prisma/client';
 
 // Import routes
@@ -9,9 +10,21 @@ import authRoutes from './routes/auth.js';
 import savingsRoutes from './routes/savings.js';
 import transactionsRoutes from './routes/transactions.js';
 import todosRoutes from './routes/todos.js';
-
-// Load environment variables
-dotenv.config();
+import plansRoutes from './routes/plans.js';
+import goalsRoutes from './routes/goals.js';
+import categoriesRoutes from './routes/categories.js';
+import exportRoutes from './routes/export.js';
+import importRoutes from './routes/import.js';
+import reportsRoutes from './routes/reports.js';
+import recurringRoutes from './routes/recurring.js';
+import exchangeRatesRoutes from './routes/exchangeRates.js';
+import notificationsRoutes from './routes/notifications.js';
+import groupsRoutes from './routes/groups.js';
+import contactsRoutes from './routes/contacts.js';
+import splitsRoutes from './routes/splits.js';
+import { startPlanScheduler } from './utils/planScheduler.js';
+import { startRecurringScheduler } from './utils/recurring.js';
+import { isMailConfigured } from './utils/mailer.js';
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
@@ -20,6 +33,11 @@ const prisma = new PrismaClient();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (used by rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -31,6 +49,10 @@ app.use(cors({
   ],
   credentials: true
 }));
+// Statement, rate imports and backups carry the whole file in the body
+app.use('/api/transactions/import', express.json({ limit: '5mb' }));
+app.use('/api/import', express.json({ limit: '20mb' }));
+app.use('/api/exchange-rates/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -39,6 +61,18 @@ app.use('/api/auth', authRoutes);
 app.use('/api/savings', savingsRoutes);
 app.use('/api/transactions', transactionsRoutes);
 app.use('/api/todos', todosRoutes);
+app.use('/api/plans', plansRoutes);
+app.use('/api/goals', goalsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/exchange-rates', exchangeRatesRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/groups', groupsRoutes);
+app.use('/api/contacts', contactsRoutes);
+app.use('/api/splits', splitsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -85,9 +119,21 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Reset, verification and invitation mails need a real transport in production
+if (process.env.NODE_ENV === 'production' && !isMailConfigured()) {
+  console.error('No mail transport configured, set MAIL_TRANSPORT=smtp and SMTP_URL');
+  process.exit(1);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Create saving periods for recurring plans
+  startPlanScheduler();
+
+  // Book due recurring transactions
+  startRecurringScheduler();
 });
 
 // Graceful shutdown
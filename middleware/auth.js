@@ -3,6 +3,19 @@ import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+// Fields exposed as req.user
+export const userSelect = {
+  id: true,
+  email: true,
+  name: true,
+  emailVerifiedAt: true,
+  currency: true,
+  locale: true,
+  weekStartDay: true,
+  timezone: true,
+  twoFactorEnabledAt: true
+};
+
 export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -13,11 +26,25 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Access tokens are bound to a session so they can be revoked server-side
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Session required, please log in again' });
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: { id: true, userId: true, revokedAt: true }
+    });
+
+    if (!session || session.revokedAt || session.userId !== decoded.userId) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     // Get user from database
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, name: true }
+      select: userSelect
     });
 
     if (!user) {
@@ -25,6 +52,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
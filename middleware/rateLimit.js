@@ -0,0 +1,31 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Consistent 429 response for every throttled endpoint
+export const sendTooManyRequests = (res, retryAfterSeconds) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many attempts, please try again later',
+    retryAfter
+  });
+};
+
+// Limit requests per client IP within a fixed time window
+export const rateLimit = ({ name, windowMs, max }) => {
+  return async (req, res, next) => {
+    try {
+      const key = `ratelimit:${name}:${req.ip}`;
+      const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+
+      if (count > max) {
+        return sendTooManyRequests(res, (resetAt - Date.now()) / 1000);
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everybody out because the store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `currency` VARCHAR(191) NOT NULL DEFAULT 'IDR',
+    ADD COLUMN `locale` VARCHAR(191) NOT NULL DEFAULT 'id-ID',
+    ADD COLUMN `weekStartDay` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `timezone` VARCHAR(191) NOT NULL DEFAULT 'Asia/Jakarta';
+
+-- AlterTable
+ALTER TABLE `auth_tokens` ADD COLUMN `email` VARCHAR(191) NULL;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `twoFactorSecret` VARCHAR(191) NULL,
+    ADD COLUMN `twoFactorEnabledAt` DATETIME(3) NULL,
+    ADD COLUMN `twoFactorLastCounter` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `recovery_codes` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `recovery_codes` ADD CONSTRAINT `recovery_codes_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
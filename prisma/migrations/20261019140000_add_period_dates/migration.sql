@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE `savings` ADD COLUMN `startDate` DATE NULL,
+    ADD COLUMN `endDate` DATE NULL;
+
+-- Backfill monthly periods: first to last day of the month
+UPDATE `savings`
+SET `startDate` = STR_TO_DATE(CONCAT(`year`, '-', `month`, '-01'), '%Y-%c-%d'),
+    `endDate` = LAST_DAY(STR_TO_DATE(CONCAT(`year`, '-', `month`, '-01'), '%Y-%c-%d'))
+WHERE `weekNumber` IS NULL;
+
+-- Backfill weekly periods: old week N (1-4) of a month started on day (N - 1) * 7 + 1
+UPDATE `savings`
+SET `startDate` = DATE_ADD(STR_TO_DATE(CONCAT(`year`, '-', `month`, '-01'), '%Y-%c-%d'), INTERVAL (`weekNumber` - 1) * 7 DAY),
+    `endDate` = DATE_ADD(STR_TO_DATE(CONCAT(`year`, '-', `month`, '-01'), '%Y-%c-%d'), INTERVAL (`weekNumber` - 1) * 7 + 6 DAY),
+    `period` = 'weekly'
+WHERE `weekNumber` IS NOT NULL;
+
+-- weekNumber now holds the ISO week of the period's 4th day
+UPDATE `savings`
+SET `weekNumber` = WEEK(DATE_ADD(`startDate`, INTERVAL 3 DAY), 3)
+WHERE `weekNumber` IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE `savings` MODIFY `startDate` DATE NOT NULL,
+    MODIFY `endDate` DATE NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `savings_userId_period_startDate_key` ON `savings`(`userId`, `period`, `startDate`);
+
+-- DropIndex
+DROP INDEX `savings_userId_month_year_weekNumber_key` ON `savings`;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `savings` ADD COLUMN `planId` INTEGER NULL,
+    ADD COLUMN `rolloverAmount` DOUBLE NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `saving_plans` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NULL,
+    `monthlyIncome` DOUBLE NOT NULL,
+    `savingTarget` DOUBLE NOT NULL,
+    `period` VARCHAR(191) NOT NULL DEFAULT 'monthly',
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NULL,
+    `rollover` VARCHAR(191) NOT NULL DEFAULT 'none',
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `savings` ADD CONSTRAINT `savings_planId_fkey` FOREIGN KEY (`planId`) REFERENCES `saving_plans`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `saving_plans` ADD CONSTRAINT `saving_plans_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE `goals` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `targetAmount` DOUBLE NOT NULL,
+    `deadline` DATE NULL,
+    `priority` INTEGER NOT NULL DEFAULT 2,
+    `achievedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `goal_allocations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `goalId` INTEGER NOT NULL,
+    `savingId` INTEGER NOT NULL,
+    `source` VARCHAR(191) NOT NULL DEFAULT 'target',
+    `amount` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `goals` ADD CONSTRAINT `goals_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goal_allocations` ADD CONSTRAINT `goal_allocations_goalId_fkey` FOREIGN KEY (`goalId`) REFERENCES `goals`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goal_allocations` ADD CONSTRAINT `goal_allocations_savingId_fkey` FOREIGN KEY (`savingId`) REFERENCES `savings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE `transactions` ADD COLUMN `categoryId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `categories` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `icon` VARCHAR(191) NULL,
+    `color` VARCHAR(191) NULL,
+    `isDefault` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `categories_userId_name_key`(`userId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `category_budgets` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `savingId` INTEGER NOT NULL,
+    `categoryId` INTEGER NOT NULL,
+    `limit` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `category_budgets_savingId_categoryId_key`(`savingId`, `categoryId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `transactions` ADD CONSTRAINT `transactions_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `categories`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `categories` ADD CONSTRAINT `categories_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `category_budgets` ADD CONSTRAINT `category_budgets_savingId_fkey` FOREIGN KEY (`savingId`) REFERENCES `savings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `category_budgets` ADD CONSTRAINT `category_budgets_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `categories`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the default categories for existing users
+INSERT INTO `categories` (`userId`, `name`, `icon`, `color`, `isDefault`, `updatedAt`)
+SELECT `users`.`id`, `defaults`.`name`, `defaults`.`icon`, `defaults`.`color`, true, CURRENT_TIMESTAMP(3)
+FROM `users`
+CROSS JOIN (
+    SELECT 'makan' AS `name`, '🍚' AS `icon`, '#F97316' AS `color`
+    UNION ALL SELECT 'transport', '🚌', '#3B82F6'
+    UNION ALL SELECT 'jajan', '🍩', '#EC4899'
+    UNION ALL SELECT 'pulsa', '📱', '#8B5CF6'
+    UNION ALL SELECT 'belanja', '🛒', '#10B981'
+    UNION ALL SELECT 'hiburan', '🎮', '#EAB308'
+    UNION ALL SELECT 'kesehatan', '💊', '#EF4444'
+    UNION ALL SELECT 'lainnya', '📦', '#6B7280'
+) AS `defaults`;
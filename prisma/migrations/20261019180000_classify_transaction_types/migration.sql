@@ -0,0 +1,5 @@
+-- Negative amounts were money coming back: store them as positive refunds
+UPDATE `transactions` SET `type` = 'refund', `amount` = -`amount` WHERE `amount` < 0;
+
+-- Anything else that is not a known type is an expense
+UPDATE `transactions` SET `type` = 'expense' WHERE `type` NOT IN ('expense', 'income', 'saving', 'refund');
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX `transactions_userId_date_idx` ON `transactions`(`userId`, `date`);
+
+-- CreateIndex
+CREATE FULLTEXT INDEX `transactions_description_idx` ON `transactions`(`description`);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `transactions` ADD COLUMN `externalId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `transactions_userId_externalId_key` ON `transactions`(`userId`, `externalId`);
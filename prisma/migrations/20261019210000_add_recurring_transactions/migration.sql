@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE `recurring_transactions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `categoryId` INTEGER NULL,
+    `amount` DOUBLE NOT NULL,
+    `type` VARCHAR(191) NOT NULL DEFAULT 'expense',
+    `description` VARCHAR(191) NULL,
+    `frequency` VARCHAR(191) NOT NULL DEFAULT 'monthly',
+    `interval` INTEGER NOT NULL DEFAULT 1,
+    `dayOfWeek` INTEGER NULL,
+    `dayOfMonth` INTEGER NULL,
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `recurring_occurrences` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `recurringId` INTEGER NOT NULL,
+    `date` DATE NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'pending',
+    `amount` DOUBLE NULL,
+    `description` VARCHAR(191) NULL,
+    `transactionId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `recurring_occurrences_transactionId_key`(`transactionId`),
+    UNIQUE INDEX `recurring_occurrences_recurringId_date_key`(`recurringId`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `recurring_transactions` ADD CONSTRAINT `recurring_transactions_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `recurring_transactions` ADD CONSTRAINT `recurring_transactions_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `categories`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `recurring_occurrences` ADD CONSTRAINT `recurring_occurrences_recurringId_fkey` FOREIGN KEY (`recurringId`) REFERENCES `recurring_transactions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `recurring_occurrences` ADD CONSTRAINT `recurring_occurrences_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
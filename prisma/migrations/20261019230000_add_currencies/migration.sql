@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `savings` ADD COLUMN `currency` VARCHAR(191) NOT NULL DEFAULT 'IDR';
+
+-- Existing periods are in the currency of their user
+UPDATE `savings` s JOIN `users` u ON u.`id` = s.`userId` SET s.`currency` = u.`currency`;
+
+-- AlterTable
+ALTER TABLE `transactions` ADD COLUMN `currency` VARCHAR(191) NULL,
+    ADD COLUMN `originalAmount` DOUBLE NULL,
+    ADD COLUMN `exchangeRate` DOUBLE NULL;
+
+-- CreateTable
+CREATE TABLE `exchange_rates` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `date` DATE NOT NULL,
+    `currency` VARCHAR(191) NOT NULL,
+    `baseCurrency` VARCHAR(191) NOT NULL,
+    `rate` DOUBLE NOT NULL,
+    `source` VARCHAR(191) NOT NULL DEFAULT 'manual',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `exchange_rates_userId_currency_baseCurrency_date_key`(`userId`, `currency`, `baseCurrency`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `exchange_rates` ADD CONSTRAINT `exchange_rates_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
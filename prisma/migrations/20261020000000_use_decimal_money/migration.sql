@@ -0,0 +1,31 @@
+-- Money is stored as exact decimals; MySQL rounds the existing DOUBLE values to cents
+
+-- AlterTable
+ALTER TABLE `savings` MODIFY `monthlyIncome` DECIMAL(15, 2) NOT NULL,
+    MODIFY `savingTarget` DECIMAL(15, 2) NOT NULL,
+    MODIFY `availableAmount` DECIMAL(15, 2) NOT NULL,
+    MODIFY `dailyBudget` DECIMAL(15, 2) NOT NULL,
+    MODIFY `rolloverAmount` DECIMAL(15, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `saving_plans` MODIFY `monthlyIncome` DECIMAL(15, 2) NOT NULL,
+    MODIFY `savingTarget` DECIMAL(15, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `goals` MODIFY `targetAmount` DECIMAL(15, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `goal_allocations` MODIFY `amount` DECIMAL(15, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `category_budgets` MODIFY `limit` DECIMAL(15, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `transactions` MODIFY `amount` DECIMAL(15, 2) NOT NULL,
+    MODIFY `originalAmount` DECIMAL(15, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `recurring_transactions` MODIFY `amount` DECIMAL(15, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `recurring_occurrences` MODIFY `amount` DECIMAL(15, 2) NULL;
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `notifyByEmail` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `notifyByPush` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `budgetAlertPercent` INTEGER NOT NULL DEFAULT 80;
+
+-- CreateTable
+CREATE TABLE `notifications` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `savingId` INTEGER NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `title` VARCHAR(191) NOT NULL,
+    `message` TEXT NOT NULL,
+    `details` JSON NULL,
+    `dedupeKey` VARCHAR(191) NOT NULL,
+    `readAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `notifications_userId_readAt_idx`(`userId`, `readAt`),
+    UNIQUE INDEX `notifications_userId_dedupeKey_key`(`userId`, `dedupeKey`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `push_subscriptions` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `endpoint` VARCHAR(500) NOT NULL,
+    `p256dh` VARCHAR(191) NOT NULL,
+    `auth` VARCHAR(191) NOT NULL,
+    `userAgent` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `push_subscriptions_endpoint_key`(`endpoint`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `notifications` ADD CONSTRAINT `notifications_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notifications` ADD CONSTRAINT `notifications_savingId_fkey` FOREIGN KEY (`savingId`) REFERENCES `savings`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `push_subscriptions` ADD CONSTRAINT `push_subscriptions_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
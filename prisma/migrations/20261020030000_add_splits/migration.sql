@@ -0,0 +1,95 @@
+-- CreateTable
+CREATE TABLE `contacts` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `contacts_userId_name_key`(`userId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `splits` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `payerId` INTEGER NOT NULL,
+    `transactionId` INTEGER NULL,
+    `description` VARCHAR(191) NULL,
+    `method` VARCHAR(191) NOT NULL DEFAULT 'equal',
+    `totalAmount` DECIMAL(15, 2) NOT NULL,
+    `currency` VARCHAR(191) NOT NULL,
+    `date` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `splits_transactionId_key`(`transactionId`),
+    INDEX `splits_payerId_date_idx`(`payerId`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `split_shares` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `splitId` INTEGER NOT NULL,
+    `userId` INTEGER NULL,
+    `contactId` INTEGER NULL,
+    `shares` INTEGER NULL,
+    `amount` DECIMAL(15, 2) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `settlements` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `counterpartUserId` INTEGER NULL,
+    `contactId` INTEGER NULL,
+    `direction` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(15, 2) NOT NULL,
+    `currency` VARCHAR(191) NOT NULL,
+    `date` DATETIME(3) NOT NULL,
+    `note` VARCHAR(191) NULL,
+    `transactionId` INTEGER NULL,
+    `counterpartTransactionId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `settlements_transactionId_key`(`transactionId`),
+    UNIQUE INDEX `settlements_counterpartTransactionId_key`(`counterpartTransactionId`),
+    INDEX `settlements_userId_date_idx`(`userId`, `date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `contacts` ADD CONSTRAINT `contacts_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `splits` ADD CONSTRAINT `splits_payerId_fkey` FOREIGN KEY (`payerId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `splits` ADD CONSTRAINT `splits_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `split_shares` ADD CONSTRAINT `split_shares_splitId_fkey` FOREIGN KEY (`splitId`) REFERENCES `splits`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `split_shares` ADD CONSTRAINT `split_shares_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `split_shares` ADD CONSTRAINT `split_shares_contactId_fkey` FOREIGN KEY (`contactId`) REFERENCES `contacts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `settlements` ADD CONSTRAINT `settlements_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `settlements` ADD CONSTRAINT `settlements_counterpartUserId_fkey` FOREIGN KEY (`counterpartUserId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `settlements` ADD CONSTRAINT `settlements_contactId_fkey` FOREIGN KEY (`contactId`) REFERENCES `contacts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `settlements` ADD CONSTRAINT `settlements_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `settlements` ADD CONSTRAINT `settlements_counterpartTransactionId_fkey` FOREIGN KEY (`counterpartTransactionId`) REFERENCES `transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE `todos` ADD COLUMN `estimatedCost` DECIMAL(15, 2) NULL,
+    ADD COLUMN `dueDate` DATE NULL,
+    ADD COLUMN `savingId` INTEGER NULL,
+    ADD COLUMN `categoryId` INTEGER NULL,
+    ADD COLUMN `transactionId` INTEGER NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `todos_transactionId_key` ON `todos`(`transactionId`);
+
+-- AddForeignKey
+ALTER TABLE `todos` ADD CONSTRAINT `todos_savingId_fkey` FOREIGN KEY (`savingId`) REFERENCES `savings`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `todos` ADD CONSTRAINT `todos_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `categories`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `todos` ADD CONSTRAINT `todos_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
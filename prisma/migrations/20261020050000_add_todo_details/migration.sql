@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE `todos` ADD COLUMN `priority` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `position` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `parentId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `todo_tags` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `todo_tags_userId_name_key`(`userId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `_TodoToTodoTag` (
+    `A` INTEGER NOT NULL,
+    `B` INTEGER NOT NULL,
+
+    UNIQUE INDEX `_TodoToTodoTag_AB_unique`(`A`, `B`),
+    INDEX `_TodoToTodoTag_B_index`(`B`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `todos_parentId_position_idx` ON `todos`(`parentId`, `position`);
+
+-- AddForeignKey
+ALTER TABLE `todos` ADD CONSTRAINT `todos_parentId_fkey` FOREIGN KEY (`parentId`) REFERENCES `todos`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `todo_tags` ADD CONSTRAINT `todo_tags_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_TodoToTodoTag` ADD CONSTRAINT `_TodoToTodoTag_A_fkey` FOREIGN KEY (`A`) REFERENCES `todos`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `_TodoToTodoTag` ADD CONSTRAINT `_TodoToTodoTag_B_fkey` FOREIGN KEY (`B`) REFERENCES `todo_tags`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
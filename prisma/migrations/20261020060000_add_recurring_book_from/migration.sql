@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `recurring_transactions` ADD COLUMN `bookFrom` DATE NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `recurring_transactions` ADD COLUMN `currency` VARCHAR(191) NOT NULL DEFAULT 'IDR';
+
+-- Existing rules are in the currency of their user
+UPDATE `recurring_transactions` r JOIN `users` u ON u.`id` = r.`userId` SET r.`currency` = u.`currency`;
@@ -0,0 +1,8 @@
+-- Splits of expenses deleted before this change kept their debts without a bill
+DELETE FROM `splits` WHERE `transactionId` IS NULL;
+
+-- DropForeignKey
+ALTER TABLE `splits` DROP FOREIGN KEY `splits_transactionId_fkey`;
+
+-- AddForeignKey
+ALTER TABLE `splits` ADD CONSTRAINT `splits_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `transactions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,14 +1,50 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, userSelect } from '../middleware/auth.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../utils/session.js';
+import { TOKEN_TYPES, createAuthToken, consumeAuthToken, invalidateAuthTokens } from '../utils/authTokens.js';
+import { sendPasswordResetMail, sendVerificationMail } from '../utils/mailer.js';
+import { rateLimit, sendTooManyRequests } from '../middleware/rateLimit.js';
+import { checkLoginAllowed, recordLoginFailure, clearLoginFailures, unlockAccount } from '../utils/loginGuard.js';
+import { isValidTimezone, isValidLocale } from '../utils/dates.js';
+import { seedDefaultCategories } from '../utils/categories.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+import { handOverGroups } from '../utils/groups.js';
+import { generateTotpSecret, buildOtpauthUri } from '../utils/totp.js';
+import {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  regenerateRecoveryCodes,
+  verifyTotpForUser,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Compared against when the email is unknown, so a login takes as long whether the account exists or not
+const DUMMY_PASSWORD_HASH = '$2b$12$hJgGq/B0cuKA4x0aQWD21.HLCpfa7.DlWou/HT7j8cNJow3FLXELm';
+
+// Per-IP throttling for unauthenticated endpoints
+const loginLimiter = rateLimit({ name: 'login', windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = rateLimit({ name: 'register', windowMs: 60 * 60 * 1000, max: 10 });
+const mailLimiter = rateLimit({ name: 'mail', windowMs: 60 * 60 * 1000, max: 5 });
+
+// Send a verification mail without failing the request if delivery breaks
+const requestEmailVerification = async (user) => {
+  try {
+    const token = await createAuthToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+    await sendVerificationMail(user, token);
+  } catch (error) {
+    console.error('Send verification mail error:', error);
+  }
+};
+
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
     const { email, password, name } = req.body;
 
@@ -45,21 +81,21 @@ router.post('/register', async (req, res) => {
         id: true,
         email: true,
         name: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await seedDefaultCategories(user.id);
+    await requestEmailVerification(user);
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user.id, req);
 
     res.status(201).json({
       message: 'User created successfully',
       user,
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -68,7 +104,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -77,37 +113,52 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Per-email backoff and lockout
+    const attempt = await checkLoginAllowed(email, req);
+    if (!attempt.allowed) {
+      return sendTooManyRequests(res, attempt.retryAfter);
+    }
+
     // Find user
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Check password, also without a user
+    const passwordMatches = await bcrypt.compare(password, user?.password ?? DUMMY_PASSWORD_HASH);
+    const isPasswordValid = Boolean(user) && passwordMatches;
 
     if (!isPasswordValid) {
+      const state = await recordLoginFailure(email, user?.id, req);
+      if (state.lockedUntil) {
+        return sendTooManyRequests(res, (state.lockedUntil - Date.now()) / 1000);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Second step needed: hand out a short-lived challenge instead of tokens
+    if (user.twoFactorEnabledAt) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user.id)
+      });
+    }
+
+    await clearLoginFailures(email);
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user.id, req);
 
     res.json({
       message: 'Login successful',
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        emailVerifiedAt: user.emailVerifiedAt
       },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -115,6 +166,542 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Login step two: swap the challenge token and a TOTP/recovery code for real tokens
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.twoFactorEnabledAt) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attempt = await checkLoginAllowed(user.email, req);
+    if (!attempt.allowed) {
+      return sendTooManyRequests(res, attempt.retryAfter);
+    }
+
+    const method = await verifySecondFactor(user, code);
+
+    if (!method) {
+      const state = await recordLoginFailure(user.email, user.id, req);
+      if (state.lockedUntil) {
+        return sendTooManyRequests(res, (state.lockedUntil - Date.now()) / 1000);
+      }
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const tokens = await createSession(user.id, req);
+    const remainingRecoveryCodes = await prisma.recoveryCode.count({
+      where: { userId: user.id, usedAt: null }
+    });
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        emailVerifiedAt: user.emailVerifiedAt
+      },
+      method,
+      remainingRecoveryCodes,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'Logged out from all devices successfully',
+      revokedCount: result.count
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: {
+        lastUsedAt: 'desc'
+      },
+      select: {
+        id: true,
+        device: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      }
+    });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    // Check if session belongs to user
+    const session = await prisma.session.findFirst({
+      where: {
+        id: sessionId,
+        userId: req.user.id,
+        revokedAt: null
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', mailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Same response whether the account exists or not
+    // A failed delivery is only logged, so the response never tells whether the account exists
+    if (user) {
+      try {
+        const token = await createAuthToken(user.id, TOKEN_TYPES.PASSWORD_RESET);
+        await sendPasswordResetMail(user, token);
+      } catch (error) {
+        console.error('Send password reset mail error:', error);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset password with a token from the reset mail
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const record = await consumeAuthToken(token, TOKEN_TYPES.PASSWORD_RESET);
+
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        password: hashedPassword,
+        passwordChangedAt: new Date()
+      }
+    });
+
+    // Log out everywhere, the old password may have been compromised
+    await revokeAllSessions(record.userId);
+    await unlockAccount(user, req, 'password_reset');
+
+    res.json({
+      message: 'Password has been reset successfully, please log in again'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change password (requires the current password)
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.user.id;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        password: hashedPassword,
+        passwordChangedAt: new Date()
+      }
+    });
+
+    // Invalidate every existing session and pending reset link
+    await revokeAllSessions(userId);
+    await invalidateAuthTokens(userId, TOKEN_TYPES.PASSWORD_RESET);
+
+    // Keep the current device logged in with a fresh session
+    const tokens = await createSession(userId, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resend the email verification link
+router.post('/verify-email/request', authenticateToken, mailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const token = await createAuthToken(req.user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+    await sendVerificationMail(req.user, token);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Request verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify email with a token from the verification mail
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const record = await consumeAuthToken(token, [TOKEN_TYPES.EMAIL_VERIFICATION, TOKEN_TYPES.EMAIL_CHANGE]);
+
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const data = { emailVerifiedAt: new Date() };
+
+    // Email change: the new address is only applied once it is confirmed
+    if (record.type === TOKEN_TYPES.EMAIL_CHANGE) {
+      const emailTaken = await prisma.user.findUnique({
+        where: { email: record.email }
+      });
+
+      if (emailTaken && emailTaken.id !== record.userId) {
+        return res.status(400).json({ error: 'User already exists with this email' });
+      }
+
+      data.email = record.email;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data,
+      select: userSelect
+    });
+
+    res.json({
+      message: 'Email verified successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start 2FA enrolment: generate a secret and otpauth URI for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+
+    // Stored as pending until confirmed with a first code
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorSecret: secret,
+        twoFactorLastCounter: null
+      }
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TOTP_ISSUER || 'Tabungan Kita'
+      })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm enrolment with the first code and receive recovery codes
+router.post('/2fa/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    if (!(await verifyTotpForUser(user, code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabledAt: new Date() }
+    });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate a new set of recovery codes (old ones stop working)
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifyTotpForUser(user, code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable 2FA (requires password and a current code or recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+
+    if (!isPasswordValid || !(await verifySecondFactor(user, code))) {
+      return res.status(401).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastCounter: null
+        }
+      })
+    ]);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lockout history for the current user
+router.get('/security-events', authenticateToken, async (req, res) => {
+  try {
+    const events = await prisma.securityEvent.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      take: 50
+    });
+
+    res.json({ events });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -127,4 +714,139 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Update profile and preferences
+router.patch('/me', authenticateToken, async (req, res) => {
+  try {
+    const { name, email, currency, locale, weekStartDay, timezone } = req.body;
+    const userId = req.user.id;
+
+    // Prepare update data
+    const updateData = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      updateData.name = name.trim();
+    }
+    if (currency !== undefined) {
+      if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency.toUpperCase())) {
+        return res.status(400).json({ error: 'Currency must be a 3-letter ISO code' });
+      }
+      updateData.currency = currency.toUpperCase();
+    }
+    if (locale !== undefined) {
+      if (typeof locale !== 'string' || !isValidLocale(locale)) {
+        return res.status(400).json({ error: 'Invalid locale' });
+      }
+      updateData.locale = locale;
+    }
+    if (weekStartDay !== undefined) {
+      const day = Number(weekStartDay);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        return res.status(400).json({ error: 'Week start day must be between 0 (Sunday) and 6 (Saturday)' });
+      }
+      updateData.weekStartDay = day;
+    }
+    if (timezone !== undefined) {
+      if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+      updateData.timezone = timezone;
+    }
+
+    // Email changes need re-verification before they are applied
+    let pendingEmail = null;
+    if (email !== undefined && email !== req.user.email) {
+      const newEmail = typeof email === 'string' ? email.trim() : '';
+      if (!EMAIL_REGEX.test(newEmail)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email: newEmail }
+      });
+
+      if (existingUser) {
+        return res.status(400).json({ error: 'User already exists with this email' });
+      }
+
+      pendingEmail = newEmail;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: updateData,
+      select: userSelect
+    });
+
+    if (pendingEmail) {
+      const token = await createAuthToken(userId, TOKEN_TYPES.EMAIL_CHANGE, pendingEmail);
+      await sendVerificationMail(user, token, pendingEmail);
+    }
+
+    res.json({
+      message: pendingEmail
+        ? 'Profile updated, please confirm your new email address'
+        : 'Profile updated successfully',
+      user,
+      pendingEmail
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete account with all savings, transactions and todos
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const userId = req.user.id;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const attachmentFiles = await findAttachmentFiles({ userId });
+
+    const deleted = await prisma.$transaction(async (prisma) => {
+      // Shared groups get a new owner first; what the user added to shared periods goes with them
+      await handOverGroups(prisma, userId);
+
+      const transactions = await prisma.transaction.deleteMany({ where: { userId } });
+      const savings = await prisma.saving.deleteMany({ where: { userId } });
+      const todos = await prisma.todo.deleteMany({ where: { userId } });
+
+      // Sessions, tokens and events go with the user via cascade
+      await prisma.user.delete({ where: { id: userId } });
+
+      return {
+        savings: savings.count,
+        transactions: transactions.count,
+        todos: todos.count
+      };
+    });
+
+    await removeAttachmentFiles(attachmentFiles);
+
+    res.json({
+      message: 'Account deleted successfully',
+      deleted
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -0,0 +1,167 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { COLOR_REGEX } from '../utils/categories.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validate category fields; `partial` for updates
+const validateCategory = (body, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || String(body.name).trim() === '') {
+      return { error: 'Name is required' };
+    }
+    data.name = String(body.name).trim().toLowerCase();
+  }
+  if (body.icon !== undefined) {
+    data.icon = body.icon ? String(body.icon).slice(0, 32) : null;
+  }
+  if (body.color !== undefined) {
+    if (body.color !== null && !COLOR_REGEX.test(body.color)) {
+      return { error: 'Color must be a hex value like #F97316' };
+    }
+    data.color = body.color;
+  }
+
+  return { data };
+};
+
+// Get all categories for user
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const categories = await prisma.category.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new category
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { data, error } = validateCategory(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existingCategory = await prisma.category.findFirst({
+      where: { userId, name: data.name }
+    });
+
+    if (existingCategory) {
+      return res.status(400).json({ error: 'Category with this name already exists' });
+    }
+
+    const category = await prisma.category.create({
+      data: {
+        userId,
+        ...data
+      }
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update category
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if category belongs to user
+    const existingCategory = await prisma.category.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingCategory) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { data, error } = validateCategory(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (data.name && data.name !== existingCategory.name) {
+      const duplicate = await prisma.category.findFirst({
+        where: { userId, name: data.name }
+      });
+
+      if (duplicate) {
+        return res.status(400).json({ error: 'Category with this name already exists' });
+      }
+    }
+
+    const category = await prisma.category.update({
+      where: { id: existingCategory.id },
+      data
+    });
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete category (its transactions become uncategorized)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if category belongs to user
+    const existingCategory = await prisma.category.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingCategory) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await prisma.category.delete({
+      where: { id: existingCategory.id }
+    });
+
+    res.json({
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { getBalances } from '../utils/splits.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+
+// Validate contact fields; `partial` for updates
+const validateContact = (body, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return { error: 'Name is required' };
+    }
+    if (body.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `Name can be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    data.name = body.name.trim();
+  }
+  if (body.email !== undefined) {
+    if (body.email !== null && body.email !== '' && !EMAIL_REGEX.test(String(body.email).trim())) {
+      return { error: 'Invalid email address' };
+    }
+    data.email = body.email ? String(body.email).trim() : null;
+  }
+
+  return { data };
+};
+
+const findContact = (userId, id) => prisma.contact.findFirst({
+  where: {
+    id: parseInt(id),
+    userId
+  }
+});
+
+// Get the contacts of the user (friends without an account to split bills with)
+router.get('/', async (req, res) => {
+  try {
+    const contacts = await prisma.contact.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(contacts);
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new contact
+router.post('/', async (req, res) => {
+  try {
+    const { data, error } = validateContact(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const contact = await prisma.contact.create({
+      data: { userId: req.user.id, ...data }
+    });
+
+    res.status(201).json({
+      message: 'Contact created successfully',
+      contact
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A contact with this name already exists' });
+    }
+    console.error('Create contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update contact
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await findContact(req.user.id, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const { data, error } = validateContact(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const contact = await prisma.contact.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json({
+      message: 'Contact updated successfully',
+      contact
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A contact with this name already exists' });
+    }
+    console.error('Update contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete contact with their split history; only once nothing is owed either way
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await findContact(req.user.id, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const balances = (await getBalances(req.user.id))
+      .filter(row => row.counterpart.type === 'contact' && row.counterpart.id === existing.id);
+
+    if (balances.length > 0) {
+      return res.status(409).json({
+        error: 'Settle the open balance with this contact before deleting them',
+        balances
+      });
+    }
+
+    await prisma.contact.delete({
+      where: { id: existing.id }
+    });
+
+    res.json({
+      message: 'Contact deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
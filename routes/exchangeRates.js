@@ -0,0 +1,278 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseISODate, formatISODate, getTodayDate } from '../utils/dates.js';
+import { parseCSV } from '../utils/csv.js';
+import { parseCurrency, loadRateLookup, reconvertTransactions } from '../utils/currency.js';
+import { parseMoney, multiplyMoney } from '../utils/money.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Most rates one import may contain
+const MAX_RATE_ROWS = 5000;
+
+// Validate one rate; the base currency defaults to the user's currency. Returns { data } or { error }.
+const validateRate = (item, user) => {
+  const date = parseISODate(item?.date);
+  if (!date) {
+    return { error: 'Date (YYYY-MM-DD) is required' };
+  }
+
+  const currency = parseCurrency(item.currency);
+  if (!currency) {
+    return { error: 'Currency must be a 3-letter ISO code' };
+  }
+
+  const baseCurrency = item.baseCurrency ? parseCurrency(item.baseCurrency) : user.currency;
+  if (!baseCurrency) {
+    return { error: 'Base currency must be a 3-letter ISO code' };
+  }
+  if (currency === baseCurrency) {
+    return { error: 'Currency and base currency must be different' };
+  }
+
+  const rate = typeof item.rate === 'string' ? parseFloat(item.rate.replace(',', '.')) : Number(item.rate);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return { error: 'Rate must be a positive number' };
+  }
+
+  return { data: { date, currency, baseCurrency, rate } };
+};
+
+const saveRate = (prisma, userId, { date, currency, baseCurrency, rate }, source) => prisma.exchangeRate.upsert({
+  where: {
+    userId_currency_baseCurrency_date: { userId, currency, baseCurrency, date }
+  },
+  update: { rate, source },
+  create: { userId, date, currency, baseCurrency, rate, source }
+});
+
+// Transactions converted with the changed rates are converted again
+const reconvertAfterChange = (user, rates) => reconvertTransactions(
+  user.id,
+  [...new Set(rates.flatMap(rate => [rate.currency, rate.baseCurrency]))],
+  new Date(Math.min(...rates.map(rate => rate.date.getTime()))),
+  user.timezone
+);
+
+const formatRate = (rate) => ({
+  ...rate,
+  date: formatISODate(rate.date)
+});
+
+// Get exchange rates, optionally filtered by currency, base currency and date range
+router.get('/', async (req, res) => {
+  try {
+    const { currency, baseCurrency, from, to } = req.query;
+    const where = { userId: req.user.id };
+
+    if (currency !== undefined) {
+      where.currency = parseCurrency(currency);
+      if (!where.currency) {
+        return res.status(400).json({ error: 'Currency must be a 3-letter ISO code' });
+      }
+    }
+    if (baseCurrency !== undefined) {
+      where.baseCurrency = parseCurrency(baseCurrency);
+      if (!where.baseCurrency) {
+        return res.status(400).json({ error: 'Base currency must be a 3-letter ISO code' });
+      }
+    }
+    if (from !== undefined || to !== undefined) {
+      where.date = {};
+      if (from !== undefined) {
+        where.date.gte = parseISODate(from);
+        if (!where.date.gte) {
+          return res.status(400).json({ error: 'from must be in YYYY-MM-DD format' });
+        }
+      }
+      if (to !== undefined) {
+        where.date.lte = parseISODate(to);
+        if (!where.date.lte) {
+          return res.status(400).json({ error: 'to must be in YYYY-MM-DD format' });
+        }
+      }
+    }
+
+    const rates = await prisma.exchangeRate.findMany({
+      where,
+      orderBy: [{ date: 'desc' }, { currency: 'asc' }]
+    });
+
+    res.json(rates.map(formatRate));
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Convert an amount with the rate valid on ?date= (default today)
+router.get('/convert', async (req, res) => {
+  try {
+    const amount = parseMoney(req.query.amount);
+    const from = parseCurrency(req.query.from);
+    const to = req.query.to !== undefined ? parseCurrency(req.query.to) : req.user.currency;
+    const date = req.query.date !== undefined ? parseISODate(req.query.date) : getTodayDate(req.user.timezone);
+
+    if (amount === null) {
+      return res.status(400).json({ error: 'Amount must be a number' });
+    }
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be 3-letter ISO codes' });
+    }
+    if (!date) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const lookup = await loadRateLookup(req.user.id, [from, to]);
+    const found = lookup.getRate(from, to, date);
+
+    if (!found) {
+      return res.status(404).json({ error: `No exchange rate from ${from} to ${to} on or before ${formatISODate(date)}` });
+    }
+
+    res.json({
+      amount,
+      from,
+      to,
+      date: formatISODate(date),
+      rate: found.rate,
+      rateDate: formatISODate(found.date),
+      convertedAmount: multiplyMoney(amount, found.rate)
+    });
+  } catch (error) {
+    console.error('Convert amount error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or update the rate of a currency pair on a date
+router.post('/', async (req, res) => {
+  try {
+    const { data, error } = validateRate(req.body, req.user);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rate = await saveRate(prisma, req.user.id, data, 'manual');
+    const reconverted = await reconvertAfterChange(req.user, [rate]);
+
+    res.json({
+      message: 'Exchange rate saved successfully',
+      exchangeRate: formatRate(rate),
+      reconvertedTransactions: reconverted
+    });
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import many rates from a CSV file (columns date, currency, baseCurrency, rate) or a JSON
+// array of the same fields. All or nothing: when any row is invalid nothing is saved.
+router.post('/import', async (req, res) => {
+  try {
+    const { format = 'csv', content, rates } = req.body;
+
+    let items;
+    if (format === 'csv') {
+      if (typeof content !== 'string' || content.trim() === '') {
+        return res.status(400).json({ error: 'CSV content is required' });
+      }
+
+      const [header = [], ...rows] = parseCSV(content).filter(row => row.some(cell => cell.trim() !== ''));
+      const columns = header.map(name => name.trim());
+      const missing = ['date', 'currency', 'rate'].filter(name => !columns.includes(name));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Missing columns: ${missing.join(', ')}` });
+      }
+
+      items = rows.map(row => Object.fromEntries(columns.map((name, index) => [name, row[index]?.trim()])));
+    } else if (format === 'json') {
+      if (!Array.isArray(rates)) {
+        return res.status(400).json({ error: 'rates must be an array' });
+      }
+      items = rates;
+    } else {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No rates to import' });
+    }
+    if (items.length > MAX_RATE_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_RATE_ROWS} rates can be imported at once` });
+    }
+
+    const valid = [];
+    const errors = [];
+    items.forEach((item, index) => {
+      const { data, error } = validateRate(item, req.user);
+      if (error) errors.push({ row: index + 1, error });
+      else valid.push(data);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Some rates are invalid, nothing was imported',
+        errors
+      });
+    }
+
+    const userId = req.user.id;
+    await prisma.$transaction(async (prisma) => {
+      for (const data of valid) {
+        await saveRate(prisma, userId, data, 'import');
+      }
+    }, { timeout: 60000 });
+
+    const reconverted = await reconvertAfterChange(req.user, valid);
+
+    res.json({
+      message: `${valid.length} exchange rate(s) imported successfully`,
+      imported: valid.length,
+      reconvertedTransactions: reconverted
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete exchange rate; transactions fall back to the rate valid before it
+router.delete('/:id', async (req, res) => {
+  try {
+    // Check if rate belongs to user
+    const rate = await prisma.exchangeRate.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      }
+    });
+
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    await prisma.exchangeRate.delete({
+      where: { id: rate.id }
+    });
+
+    const reconverted = await reconvertAfterChange(req.user, [rate]);
+
+    res.json({
+      message: 'Exchange rate deleted successfully',
+      reconvertedTransactions: reconverted
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
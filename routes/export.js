@@ -0,0 +1,43 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { formatISODate, getTodayDate } from '../utils/dates.js';
+import { createZipWriter } from '../utils/zip.js';
+import { writeJsonBackup, writeCsvExport } from '../utils/backup.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Export all savings, transactions and todos: ?format=json (backup, default) or csv (zip)
+router.get('/', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+
+    const fileName = `tabungan-kita-${formatISODate(getTodayDate(req.user.timezone))}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      await writeJsonBackup(req.user, res);
+    } else {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      await writeCsvExport(req.user, createZipWriter(res));
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+
+    // Part of the file may already be sent, the client then gets a broken download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,393 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseISODate, getTodayDate } from '../utils/dates.js';
+import { getRemainingBudget, getPeriodStatus } from '../utils/budget.js';
+import { ALLOCATION_SOURCES, summarizeGoal } from '../utils/goals.js';
+import { moneyFields, parseMoney, sumMoney, subtractMoney } from '../utils/money.js';
+
+const router = express.Router();
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Thrown inside the allocation transaction when the request no longer fits what is left
+class AllocationExceededError extends Error {
+  constructor(remaining) {
+    super('Allocation exceeds the unallocated amount');
+    this.remaining = remaining;
+  }
+}
+
+const allocationInclude = {
+  allocations: {
+    orderBy: { createdAt: 'desc' },
+    include: {
+      saving: {
+        select: { id: true, period: true, startDate: true, endDate: true }
+      }
+    }
+  }
+};
+
+const withSummary = (goal, today) => ({
+  ...goal,
+  summary: summarizeGoal(goal, goal.allocations, { today })
+});
+
+// Keep achievedAt in sync with the allocated amount
+const refreshGoalStatus = async (prisma, goalId) => {
+  const goal = await prisma.goal.findUnique({ where: { id: goalId } });
+  const { _sum } = await prisma.goalAllocation.aggregate({
+    where: { goalId },
+    _sum: { amount: true }
+  });
+
+  const achieved = Number(_sum.amount ?? 0) >= goal.targetAmount;
+  if (achieved !== Boolean(goal.achievedAt)) {
+    await prisma.goal.update({
+      where: { id: goalId },
+      data: { achievedAt: achieved ? new Date() : null }
+    });
+  }
+};
+
+// Validate goal fields; `partial` for updates
+const validateGoal = (body, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || String(body.name).trim() === '') {
+      return { error: 'Name is required' };
+    }
+    data.name = String(body.name).trim();
+  }
+
+  if (body.targetAmount !== undefined || !partial) {
+    const targetAmount = parseMoney(body.targetAmount);
+    if (targetAmount === null || targetAmount <= 0) {
+      return { error: 'Target amount must be positive' };
+    }
+    data.targetAmount = targetAmount;
+  }
+
+  if (body.deadline !== undefined) {
+    if (body.deadline === null || body.deadline === '') {
+      data.deadline = null;
+    } else {
+      const deadline = parseISODate(body.deadline);
+      if (!deadline) {
+        return { error: 'Deadline must be in YYYY-MM-DD format' };
+      }
+      data.deadline = deadline;
+    }
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 3) {
+      return { error: 'Priority must be 1 (high), 2 (medium) or 3 (low)' };
+    }
+    data.priority = priority;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'Description must be text' };
+    }
+    data.description = body.description?.trim() || '';
+  }
+
+  return { data };
+};
+
+// Create new goal
+router.post('/', async (req, res) => {
+  try {
+    const { data, error } = validateGoal(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const goal = await prisma.goal.create({
+      data: {
+        userId: req.user.id,
+        ...data
+      },
+      include: allocationInclude
+    });
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: withSummary(goal, getTodayDate(req.user.timezone))
+    });
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all goals with progress
+router.get('/', async (req, res) => {
+  try {
+    const goals = await prisma.goal.findMany({
+      where: { userId: req.user.id },
+      orderBy: [
+        { priority: 'asc' },
+        { deadline: 'asc' },
+        { createdAt: 'asc' }
+      ],
+      include: allocationInclude
+    });
+
+    const today = getTodayDate(req.user.timezone);
+    res.json(goals.map(goal => withSummary(goal, today)));
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Allocate a period's saving target or its actual surplus to one or more goals
+router.post('/allocate', async (req, res) => {
+  try {
+    const { savingId, source = 'target', allocations } = req.body;
+    const userId = req.user.id;
+
+    if (!savingId || !Array.isArray(allocations) || allocations.length === 0) {
+      return res.status(400).json({ error: 'Saving ID and at least one allocation are required' });
+    }
+    if (!ALLOCATION_SOURCES.includes(source)) {
+      return res.status(400).json({ error: 'Source must be target or surplus' });
+    }
+
+    const items = allocations.map(item => ({
+      goalId: parseInt(item.goalId),
+      amount: parseMoney(item.amount)
+    }));
+    if (items.some(item => !item.goalId || item.amount === null || item.amount <= 0)) {
+      return res.status(400).json({ error: 'Every allocation needs a goal ID and a positive amount' });
+    }
+
+    // Check if saving belongs to user
+    const saving = await prisma.saving.findFirst({
+      where: {
+        id: parseInt(savingId),
+        userId
+      },
+      include: {
+        transactions: true
+      }
+    });
+
+    if (!saving) {
+      return res.status(404).json({ error: 'Saving not found' });
+    }
+
+    // Check if goals belong to user
+    const goalIds = [...new Set(items.map(item => item.goalId))];
+    const goalCount = await prisma.goal.count({
+      where: { id: { in: goalIds }, userId }
+    });
+
+    if (goalCount !== goalIds.length) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    // How much of this source is still free
+    let available;
+    if (source === 'target') {
+      available = saving.savingTarget;
+    } else {
+      if (getPeriodStatus(saving, getTodayDate(req.user.timezone)) !== 'ended') {
+        return res.status(400).json({ error: 'Surplus can only be allocated once the period has ended' });
+      }
+      available = getRemainingBudget(saving, saving.transactions);
+    }
+
+    const requested = sumMoney(items.map(item => item.amount));
+
+    let created;
+    let remaining;
+    try {
+      ({ created, remaining } = await prisma.$transaction(async (prisma) => {
+        // Lock the period so concurrent allocations are checked one after the other
+        await prisma.$queryRaw`SELECT id FROM savings WHERE id = ${saving.id} FOR UPDATE`;
+
+        const { _sum } = await prisma.goalAllocation.aggregate({
+          where: { savingId: saving.id, source },
+          _sum: { amount: true }
+        });
+        const remaining = subtractMoney(available, _sum.amount ?? 0);
+        if (requested > remaining) throw new AllocationExceededError(remaining);
+
+        const rows = [];
+        for (const item of items) {
+          rows.push(await prisma.goalAllocation.create({
+            data: {
+              goalId: item.goalId,
+              savingId: saving.id,
+              source,
+              amount: item.amount
+            }
+          }));
+        }
+
+        for (const goalId of goalIds) {
+          await refreshGoalStatus(prisma, goalId);
+        }
+
+        return { created: rows, remaining };
+      }));
+    } catch (error) {
+      if (!(error instanceof AllocationExceededError)) throw error;
+      return res.status(400).json({
+        error: `Allocation exceeds the unallocated ${source === 'target' ? 'saving target' : 'surplus'} of this period`,
+        available: Math.max(error.remaining, 0)
+      });
+    }
+
+    res.status(201).json({
+      message: 'Savings allocated successfully',
+      allocations: created,
+      unallocated: subtractMoney(remaining, requested)
+    });
+  } catch (error) {
+    console.error('Allocate goals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single goal
+router.get('/:id', async (req, res) => {
+  try {
+    const goal = await prisma.goal.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: allocationInclude
+    });
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    res.json(withSummary(goal, getTodayDate(req.user.timezone)));
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update goal
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if goal belongs to user
+    const existingGoal = await prisma.goal.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingGoal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    const { data, error } = validateGoal(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await prisma.goal.update({
+      where: { id: existingGoal.id },
+      data
+    });
+    await refreshGoalStatus(prisma, existingGoal.id);
+
+    const goal = await prisma.goal.findUnique({
+      where: { id: existingGoal.id },
+      include: allocationInclude
+    });
+
+    res.json({
+      message: 'Goal updated successfully',
+      goal: withSummary(goal, getTodayDate(req.user.timezone))
+    });
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a single allocation
+router.delete('/:id/allocations/:allocationId', async (req, res) => {
+  try {
+    const { id, allocationId } = req.params;
+    const userId = req.user.id;
+
+    const allocation = await prisma.goalAllocation.findFirst({
+      where: {
+        id: parseInt(allocationId),
+        goalId: parseInt(id),
+        goal: { userId }
+      }
+    });
+
+    if (!allocation) {
+      return res.status(404).json({ error: 'Allocation not found' });
+    }
+
+    await prisma.goalAllocation.delete({
+      where: { id: allocation.id }
+    });
+    await refreshGoalStatus(prisma, allocation.goalId);
+
+    res.json({
+      message: 'Allocation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete allocation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete goal
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if goal belongs to user
+    const existingGoal = await prisma.goal.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingGoal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    await prisma.goal.delete({
+      where: { id: existingGoal.id }
+    });
+
+    res.json({
+      message: 'Goal deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
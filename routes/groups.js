@@ -0,0 +1,418 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  GROUP_ROLES,
+  INVITATION_ROLES,
+  checkGroupAccess,
+  createGroupInvitation,
+  findOpenInvitation
+} from '../utils/groups.js';
+import { sendGroupInvitationMail } from '../utils/mailer.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Name is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `Name can be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { data: name.trim() };
+};
+
+// Check that the user is the group's owner. Returns { role } or { status, error }.
+const checkOwner = async (userId, groupId) => {
+  const access = await checkGroupAccess(userId, groupId);
+  if (access.error) return access;
+  if (access.role !== 'owner') return { status: 403, error: 'Only owners can manage the group' };
+  return access;
+};
+
+const formatMember = (member) => ({
+  userId: member.userId,
+  name: member.user.name,
+  email: member.user.email,
+  role: member.role,
+  joinedAt: member.createdAt
+});
+
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// Create a group, the creator becomes its owner
+router.post('/', async (req, res) => {
+  try {
+    const { data: name, error } = validateName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const group = await prisma.group.create({
+      data: {
+        name,
+        members: {
+          create: { userId: req.user.id, role: 'owner' }
+        }
+      }
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: { ...group, role: 'owner', memberCount: 1 }
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the groups of the user with their role
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.groupMember.findMany({
+      where: { userId: req.user.id },
+      include: {
+        group: {
+          include: {
+            _count: {
+              select: { members: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(memberships.map(({ group, role }) => {
+      const { _count, ...data } = group;
+      return { ...data, role, memberCount: _count.members };
+    }));
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation with the token from the email. The invitation has to be for the
+// email address of the account.
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const invitation = await findOpenInvitation(req.body.token);
+
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation is for another email address' });
+    }
+
+    const existing = await prisma.groupMember.findUnique({
+      where: { groupId_userId: { groupId: invitation.groupId, userId } }
+    });
+
+    const member = await prisma.$transaction(async (prisma) => {
+      await prisma.groupInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date() }
+      });
+
+      // Already a member: keep the current role
+      return existing || prisma.groupMember.create({
+        data: { groupId: invitation.groupId, userId, role: invitation.role }
+      });
+    });
+
+    res.json({
+      message: 'Invitation accepted successfully',
+      group: { ...invitation.group, role: member.role }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a group with its members; owners also see the open invitations
+router.get('/:id', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { role, status, error } = await checkGroupAccess(req.user.id, groupId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { id: groupId },
+      include: {
+        members: {
+          include: { user: { select: { name: true, email: true } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        ...(role === 'owner' && {
+          invitations: {
+            where: { acceptedAt: null, expiresAt: { gt: new Date() } },
+            orderBy: { createdAt: 'desc' }
+          }
+        })
+      }
+    });
+
+    const { members, invitations, ...data } = group;
+    res.json({
+      ...data,
+      role,
+      members: members.map(formatMember),
+      ...(invitations && { invitations: invitations.map(formatInvitation) })
+    });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a group (owners only)
+router.put('/:id', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const access = await checkOwner(req.user.id, groupId);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: name, error } = validateName(req.body.name);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const group = await prisma.group.update({
+      where: { id: groupId },
+      data: { name }
+    });
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a group with its shared periods, transactions and todos (owners only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { status, error } = await checkOwner(req.user.id, groupId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const attachmentFiles = await findAttachmentFiles({ saving: { groupId } });
+
+    // Periods, their transactions, todos, members and invitations go with the group via cascade
+    await prisma.group.delete({
+      where: { id: groupId }
+    });
+
+    await removeAttachmentFiles(attachmentFiles);
+
+    res.json({
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invite someone by email (owners only). The token is only sent by email.
+router.post('/:id/invitations', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { email, role = 'editor' } = req.body;
+    const access = await checkOwner(req.user.id, groupId);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const address = typeof email === 'string' ? email.trim() : '';
+    if (!EMAIL_REGEX.test(address)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    if (!INVITATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${INVITATION_ROLES.join(', ')}` });
+    }
+
+    const member = await prisma.groupMember.findFirst({
+      where: { groupId, user: { email: address } }
+    });
+
+    if (member) {
+      return res.status(409).json({ error: 'This user is already a member of the group' });
+    }
+
+    const { invitation, token } = await createGroupInvitation({
+      groupId,
+      invitedById: req.user.id,
+      email: address,
+      role
+    });
+
+    const group = await prisma.group.findUnique({ where: { id: groupId } });
+    await sendGroupInvitationMail(req.user, group, address, token);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: formatInvitation(invitation)
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw an invitation (owners only)
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const { status, error } = await checkOwner(req.user.id, groupId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { count } = await prisma.groupInvitation.deleteMany({
+      where: {
+        id: parseInt(req.params.invitationId),
+        groupId,
+        acceptedAt: null
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({
+      message: 'Invitation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the role of a member (owners only). A group always keeps at least one owner.
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const memberId = parseInt(req.params.userId);
+    const { role } = req.body;
+    const access = await checkOwner(req.user.id, groupId);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+    if (!GROUP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${GROUP_ROLES.join(', ')}` });
+    }
+
+    const member = await prisma.groupMember.findUnique({
+      where: { groupId_userId: { groupId, userId: memberId } }
+    });
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner') {
+      const ownerCount = await prisma.groupMember.count({ where: { groupId, role: 'owner' } });
+      if (ownerCount === 1) {
+        return res.status(400).json({ error: 'A group needs at least one owner' });
+      }
+    }
+
+    const updated = await prisma.groupMember.update({
+      where: { id: member.id },
+      data: { role },
+      include: { user: { select: { name: true, email: true } } }
+    });
+
+    res.json({
+      message: 'Member updated successfully',
+      member: formatMember(updated)
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a member (owners), or leave the group (any member with their own user ID).
+// Their transactions stay in the shared periods.
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const memberId = parseInt(req.params.userId);
+    const userId = req.user.id;
+
+    const access = memberId === userId
+      ? await checkGroupAccess(userId, groupId)
+      : await checkOwner(userId, groupId);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const member = await prisma.groupMember.findUnique({
+      where: { groupId_userId: { groupId, userId: memberId } }
+    });
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      const ownerCount = await prisma.groupMember.count({ where: { groupId, role: 'owner' } });
+      if (ownerCount === 1) {
+        return res.status(400).json({ error: 'A group needs at least one owner, make someone else owner first' });
+      }
+    }
+
+    await prisma.groupMember.delete({
+      where: { id: member.id }
+    });
+
+    res.json({
+      message: memberId === userId ? 'You left the group' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
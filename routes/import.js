@@ -0,0 +1,38 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { CONFLICT_MODES, validateBackup, restoreBackup } from '../utils/backup.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Restore a JSON backup from GET /api/export into this account.
+// Body: the backup document, ?conflict=skip (default) or replace for periods that already exist.
+router.post('/backup', async (req, res) => {
+  try {
+    const { conflict = 'skip' } = req.query;
+
+    if (!CONFLICT_MODES.includes(conflict)) {
+      return res.status(400).json({ error: 'Conflict must be skip or replace' });
+    }
+
+    const { data, error } = validateBackup(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await restoreBackup(req.user.id, data, { conflict });
+
+    res.json({
+      message: 'Backup restored successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Restore backup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { formatNotification } from '../utils/notifications.js';
+import { getPushPublicKey } from '../utils/push.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const settingsSelect = {
+  notifyByEmail: true,
+  notifyByPush: true,
+  budgetAlertPercent: true
+};
+
+const formatSettings = (user) => ({
+  email: user.notifyByEmail,
+  push: user.notifyByPush,
+  budgetAlertPercent: user.budgetAlertPercent,
+  pushPublicKey: getPushPublicKey()
+});
+
+// Find a notification of the user, null when it does not exist or belongs to someone else
+const findNotification = (userId, id) => prisma.notification.findFirst({
+  where: {
+    id: parseInt(id),
+    userId
+  }
+});
+
+// Get the inbox, newest first; ?unread=true for unread notifications only
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { unread, limit = 50, offset = 0 } = req.query;
+
+    const where = { userId };
+    if (unread === 'true') {
+      where.readAt = null;
+    }
+
+    const notifications = await prisma.notification.findMany({
+      where,
+      orderBy: [
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ],
+      take: parseInt(limit),
+      skip: parseInt(offset)
+    });
+
+    const total = await prisma.notification.count({ where });
+    const unreadCount = await prisma.notification.count({
+      where: { userId, readAt: null }
+    });
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get delivery settings
+router.get('/settings', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: settingsSelect
+    });
+
+    res.json({ settings: formatSettings(user) });
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update delivery settings: email and push on/off, budget alert threshold in percent
+router.put('/settings', async (req, res) => {
+  try {
+    const { email, push, budgetAlertPercent } = req.body;
+
+    const updateData = {};
+    if (email !== undefined) {
+      updateData.notifyByEmail = Boolean(email);
+    }
+    if (push !== undefined) {
+      updateData.notifyByPush = Boolean(push);
+    }
+    if (budgetAlertPercent !== undefined) {
+      const percent = Number(budgetAlertPercent);
+      if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+        return res.status(400).json({ error: 'Budget alert percent must be a whole number between 1 and 100' });
+      }
+      updateData.budgetAlertPercent = percent;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: updateData,
+      select: settingsSelect
+    });
+
+    res.json({
+      message: 'Notification settings updated successfully',
+      settings: formatSettings(user),
+      // Emails only go to a verified address
+      emailVerified: Boolean(req.user.emailVerifiedAt)
+    });
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({
+      message: `${result.count} notification(s) marked as read`,
+      updatedCount: result.count
+    });
+  } catch (error) {
+    console.error('Read all notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the browser push subscriptions of the user
+router.get('/push-subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: req.user.id },
+      select: { id: true, endpoint: true, userAgent: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Get push subscriptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register a browser for web push, body is the browser's PushSubscription JSON
+// ({ endpoint, keys: { p256dh, auth } }). Subscribing again updates the keys.
+router.post('/push-subscriptions', async (req, res) => {
+  try {
+    const { endpoint, keys } = req.body;
+    const userId = req.user.id;
+
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || endpoint.length > 500) {
+      return res.status(400).json({ error: 'Endpoint must be an https URL of at most 500 characters' });
+    }
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string' || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({ error: 'Keys p256dh and auth are required' });
+    }
+
+    const data = {
+      userId,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      userAgent: req.get('user-agent')?.slice(0, 191) || null
+    };
+
+    // An endpoint belongs to one browser profile; whoever subscribes last owns it
+    const subscription = await prisma.pushSubscription.upsert({
+      where: { endpoint },
+      update: data,
+      create: { endpoint, ...data },
+      select: { id: true, endpoint: true, userAgent: true, createdAt: true }
+    });
+
+    res.status(201).json({
+      message: 'Push subscription saved successfully',
+      subscription
+    });
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a browser from web push
+router.delete('/push-subscriptions/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.pushSubscription.deleteMany({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    res.json({
+      message: 'Push subscription deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete push subscription error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const existing = await findNotification(req.user.id, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await prisma.notification.update({
+      where: { id: existing.id },
+      data: { readAt: existing.readAt ?? new Date() }
+    });
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: formatNotification(notification)
+    });
+  } catch (error) {
+    console.error('Read notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a notification as unread again
+router.patch('/:id/unread', async (req, res) => {
+  try {
+    const existing = await findNotification(req.user.id, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await prisma.notification.update({
+      where: { id: existing.id },
+      data: { readAt: null }
+    });
+
+    res.json({
+      message: 'Notification marked as unread',
+      notification: formatNotification(notification)
+    });
+  } catch (error) {
+    console.error('Unread notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
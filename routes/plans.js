@@ -0,0 +1,265 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseISODate, getTodayDate } from '../utils/dates.js';
+import { ROLLOVER_MODES, generatePlanPeriods, generateUserPlanPeriods } from '../utils/planScheduler.js';
+import { moneyFields, parseMoney } from '../utils/money.js';
+
+const router = express.Router();
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validate plan fields; `existing` is set when updating
+const validatePlan = (body, existing = null) => {
+  const data = {};
+
+  const monthlyIncome = body.monthlyIncome !== undefined ? parseMoney(body.monthlyIncome) : existing?.monthlyIncome;
+  const savingTarget = body.savingTarget !== undefined ? parseMoney(body.savingTarget) : existing?.savingTarget;
+
+  if (monthlyIncome === undefined || savingTarget === undefined || monthlyIncome === null || savingTarget === null) {
+    return { error: 'Monthly income and saving target are required' };
+  }
+  if (monthlyIncome <= 0) {
+    return { error: 'Monthly income must be positive' };
+  }
+  if (savingTarget < 0) {
+    return { error: 'Saving target cannot be negative' };
+  }
+  if (savingTarget >= monthlyIncome) {
+    return { error: 'Saving target cannot be equal or greater than monthly income' };
+  }
+  data.monthlyIncome = monthlyIncome;
+  data.savingTarget = savingTarget;
+
+  if (body.name !== undefined) {
+    data.name = body.name ? String(body.name).trim() : null;
+  }
+
+  if (body.period !== undefined || !existing) {
+    const period = body.period || 'monthly';
+    if (!['monthly', 'weekly'].includes(period)) {
+      return { error: 'Period must be monthly or weekly' };
+    }
+    data.period = period;
+  }
+
+  if (body.startDate !== undefined || !existing) {
+    const startDate = parseISODate(body.startDate);
+    if (!startDate) {
+      return { error: 'Start date (YYYY-MM-DD) is required' };
+    }
+    data.startDate = startDate;
+  }
+
+  if (body.endDate !== undefined) {
+    if (body.endDate === null || body.endDate === '') {
+      data.endDate = null;
+    } else {
+      const endDate = parseISODate(body.endDate);
+      if (!endDate) {
+        return { error: 'End date must be in YYYY-MM-DD format' };
+      }
+      data.endDate = endDate;
+    }
+  }
+
+  const startDate = data.startDate || existing?.startDate;
+  const endDate = data.endDate !== undefined ? data.endDate : existing?.endDate;
+  if (endDate && endDate < startDate) {
+    return { error: 'End date cannot be before start date' };
+  }
+
+  if (body.rollover !== undefined) {
+    if (!ROLLOVER_MODES.includes(body.rollover)) {
+      return { error: `Rollover must be one of: ${ROLLOVER_MODES.join(', ')}` };
+    }
+    data.rollover = body.rollover;
+  }
+
+  if (body.active !== undefined) {
+    data.active = Boolean(body.active);
+  }
+
+  return { data };
+};
+
+// Create a savings plan and generate its periods up to today
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { data, error } = validatePlan(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const plan = await prisma.savingPlan.create({
+      data: {
+        userId,
+        ...data
+      }
+    });
+
+    const { created, skipped } = await generatePlanPeriods(plan, {
+      weekStartDay: req.user.weekStartDay,
+      today: getTodayDate(req.user.timezone),
+      currency: req.user.currency
+    });
+
+    res.status(201).json({
+      message: 'Savings plan created successfully',
+      plan,
+      createdSavings: created,
+      skippedPeriods: skipped
+    });
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all plans for user
+router.get('/', async (req, res) => {
+  try {
+    const plans = await prisma.savingPlan.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        _count: {
+          select: { savings: true }
+        }
+      }
+    });
+
+    res.json(plans);
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fill in every period missed (e.g. while the server was down) for all active plans
+router.post('/catch-up', async (req, res) => {
+  try {
+    const results = await generateUserPlanPeriods(req.user);
+    const createdCount = results.reduce((sum, result) => sum + result.created.length, 0);
+
+    res.json({
+      message: `${createdCount} saving period(s) created`,
+      results
+    });
+  } catch (error) {
+    console.error('Catch up plans error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single plan with its generated periods
+router.get('/:id', async (req, res) => {
+  try {
+    const plan = await prisma.savingPlan.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: {
+        savings: {
+          orderBy: { startDate: 'desc' }
+        }
+      }
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Get plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update plan (only affects periods generated from now on). Period type and start date shape
+// every period of the plan, so they are fixed once it generated periods.
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if plan belongs to user
+    const existingPlan = await prisma.savingPlan.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingPlan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const { data, error } = validatePlan(req.body, existingPlan);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const changesSchedule = (data.period !== undefined && data.period !== existingPlan.period) ||
+      (data.startDate !== undefined && data.startDate.getTime() !== existingPlan.startDate.getTime());
+
+    if (changesSchedule && await prisma.saving.count({ where: { planId: existingPlan.id } }) > 0) {
+      return res.status(400).json({
+        error: 'Period and start date cannot change once the plan created periods, create a new plan instead'
+      });
+    }
+
+    const plan = await prisma.savingPlan.update({
+      where: { id: existingPlan.id },
+      data
+    });
+
+    res.json({
+      message: 'Savings plan updated successfully',
+      plan
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete plan (savings already created are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if plan belongs to user
+    const existingPlan = await prisma.savingPlan.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingPlan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    await prisma.savingPlan.delete({
+      where: { id: existingPlan.id }
+    });
+
+    res.json({
+      message: 'Savings plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,562 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseISODate, formatISODate, getTodayDate, addDays } from '../utils/dates.js';
+import { TRANSACTION_TYPES } from '../utils/budget.js';
+import { findUserCategory } from '../utils/categories.js';
+import {
+  FREQUENCIES,
+  listOccurrences,
+  listNextOccurrences,
+  getUpcomingOccurrences,
+  generateRecurringTransactions,
+  generateUserRecurringTransactions
+} from '../utils/recurring.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+import { parseCurrency } from '../utils/currency.js';
+import { moneyFields, parseMoney, sumMoney, multiplyMoney } from '../utils/money.js';
+import { checkBudgetAlerts } from '../utils/alerts.js';
+
+const router = express.Router();
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const MAX_UPCOMING_DAYS = 366;
+
+// Fields that move the scheduled dates of a rule
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'dayOfWeek', 'dayOfMonth', 'startDate'];
+
+const isSameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+// Validate rule fields; `existing` is set when updating
+const validateRecurring = (body, existing = null) => {
+  const data = {};
+
+  if (body.amount !== undefined || !existing) {
+    const amount = parseMoney(body.amount);
+    if (amount === null || amount <= 0) {
+      return { error: 'Amount must be positive' };
+    }
+    data.amount = amount;
+  }
+
+  // Occurrences are converted to the currency of their period when booked
+  if (body.currency !== undefined) {
+    data.currency = parseCurrency(body.currency);
+    if (!data.currency) {
+      return { error: 'Currency must be a 3-letter ISO code' };
+    }
+  }
+
+  if (body.type !== undefined) {
+    if (!TRANSACTION_TYPES.includes(body.type)) {
+      return { error: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    data.type = body.type;
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description?.trim() || '';
+  }
+
+  if (body.categoryId !== undefined) {
+    data.categoryId = body.categoryId ? parseInt(body.categoryId) : null;
+    if (Number.isNaN(data.categoryId)) {
+      return { error: 'Category ID must be a number' };
+    }
+  }
+
+  if (body.frequency !== undefined || !existing) {
+    const frequency = body.frequency || 'monthly';
+    if (!FREQUENCIES.includes(frequency)) {
+      return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    data.frequency = frequency;
+  }
+
+  if (body.interval !== undefined) {
+    const interval = Number(body.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      return { error: 'Interval must be a whole number between 1 and 365' };
+    }
+    data.interval = interval;
+  }
+
+  // Custom day: weekday for weekly rules, day of month for monthly rules (null = start date's day)
+  if (body.dayOfWeek !== undefined) {
+    const dayOfWeek = body.dayOfWeek === null ? null : Number(body.dayOfWeek);
+    if (dayOfWeek !== null && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+      return { error: 'Day of week must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    data.dayOfWeek = dayOfWeek;
+  }
+
+  if (body.dayOfMonth !== undefined) {
+    const dayOfMonth = body.dayOfMonth === null ? null : Number(body.dayOfMonth);
+    if (dayOfMonth !== null && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      return { error: 'Day of month must be 1 to 31' };
+    }
+    data.dayOfMonth = dayOfMonth;
+  }
+
+  if (body.startDate !== undefined || !existing) {
+    const startDate = parseISODate(body.startDate);
+    if (!startDate) {
+      return { error: 'Start date (YYYY-MM-DD) is required' };
+    }
+    data.startDate = startDate;
+  }
+
+  if (body.endDate !== undefined) {
+    if (body.endDate === null || body.endDate === '') {
+      data.endDate = null;
+    } else {
+      const endDate = parseISODate(body.endDate);
+      if (!endDate) {
+        return { error: 'End date must be in YYYY-MM-DD format' };
+      }
+      data.endDate = endDate;
+    }
+  }
+
+  const startDate = data.startDate || existing?.startDate;
+  const endDate = data.endDate !== undefined ? data.endDate : existing?.endDate;
+  if (endDate && endDate < startDate) {
+    return { error: 'End date cannot be before start date' };
+  }
+
+  if (body.active !== undefined) {
+    data.active = Boolean(body.active);
+  }
+
+  return { data };
+};
+
+const formatOccurrence = (occurrence) => ({
+  ...occurrence,
+  date: formatISODate(occurrence.date)
+});
+
+// Rule with its next scheduled dates and whether they are skipped or edited
+const withNextOccurrences = (rule, today) => {
+  const rows = new Map((rule.occurrences || []).map(row => [row.date.getTime(), row]));
+
+  return {
+    ...rule,
+    occurrences: undefined,
+    nextOccurrences: rule.active
+      ? listNextOccurrences(rule, today).map(date => {
+        const row = rows.get(date.getTime());
+        return {
+          date: formatISODate(date),
+          status: row?.status || 'scheduled',
+          amount: row?.amount ?? rule.amount,
+          description: row?.description ?? rule.description
+        };
+      })
+      : []
+  };
+};
+
+// Find a rule of the user and check that `date` is one of its scheduled dates
+const findOccurrence = async (userId, id, dateParam) => {
+  const rule = await prisma.recurringTransaction.findFirst({
+    where: {
+      id: parseInt(id),
+      userId
+    }
+  });
+
+  if (!rule) return { status: 404, error: 'Recurring transaction not found' };
+
+  const date = parseISODate(dateParam);
+  if (!date) return { status: 400, error: 'Date must be in YYYY-MM-DD format' };
+
+  if (listOccurrences(rule, date, date).length === 0) {
+    return { status: 404, error: 'No occurrence scheduled on this date' };
+  }
+
+  const row = await prisma.recurringOccurrence.findUnique({
+    where: { recurringId_date: { recurringId: rule.id, date } }
+  });
+
+  return { rule, date, row };
+};
+
+// Create a recurring transaction and book the occurrences that are already due
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { data, error } = validateRecurring(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Check if category belongs to user
+    if (data.categoryId && !(await findUserCategory(userId, data.categoryId))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const rule = await prisma.recurringTransaction.create({
+      data: {
+        userId,
+        currency: req.user.currency,
+        ...data
+      }
+    });
+
+    const today = getTodayDate(req.user.timezone);
+    const created = await generateRecurringTransactions(rule, { today, timeZone: req.user.timezone });
+
+    res.status(201).json({
+      message: 'Recurring transaction created successfully',
+      recurring: withNextOccurrences(rule, today),
+      createdTransactions: created
+    });
+  } catch (error) {
+    console.error('Create recurring transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all recurring transactions for user
+router.get('/', async (req, res) => {
+  try {
+    const today = getTodayDate(req.user.timezone);
+
+    const rules = await prisma.recurringTransaction.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        category: true,
+        occurrences: {
+          where: { date: { gte: today } }
+        }
+      }
+    });
+
+    res.json(rules.map(rule => withNextOccurrences(rule, today)));
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upcoming obligations of all rules for the next ?days= (default 30)
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_UPCOMING_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number between 1 and ${MAX_UPCOMING_DAYS}` });
+    }
+
+    const today = getTodayDate(req.user.timezone);
+    const upcoming = await getUpcomingOccurrences(req.user.id, today, addDays(today, days - 1));
+
+    // Rules can be in different currencies, so there is a total per currency
+    const totals = new Map();
+    for (const { currency, amount } of upcoming) {
+      totals.set(currency, sumMoney([totals.get(currency) ?? 0, amount]));
+    }
+
+    res.json({
+      upcoming: upcoming.map(formatOccurrence),
+      totals: [...totals].map(([currency, total]) => ({ currency, total }))
+    });
+  } catch (error) {
+    console.error('Get upcoming recurring transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Book every due occurrence now instead of waiting for the scheduler
+router.post('/catch-up', async (req, res) => {
+  try {
+    const created = await generateUserRecurringTransactions(req.user);
+    const alerts = await checkBudgetAlerts(req.user.id, created.map(transaction => transaction.savingId));
+
+    res.json({
+      message: `${created.length} transaction(s) created`,
+      createdTransactions: created,
+      alerts
+    });
+  } catch (error) {
+    console.error('Catch up recurring transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single recurring transaction with its booked, skipped and edited occurrences
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await prisma.recurringTransaction.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: {
+        category: true,
+        occurrences: {
+          orderBy: { date: 'desc' },
+          include: { transaction: true }
+        }
+      }
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+
+    res.json({
+      ...withNextOccurrences(rule, getTodayDate(req.user.timezone)),
+      history: rule.occurrences.map(formatOccurrence)
+    });
+  } catch (error) {
+    console.error('Get recurring transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update recurring transaction (booked occurrences are not changed). A new schedule only books
+// dates from today on, so past dates of the new schedule are not booked a second time.
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if rule belongs to user
+    const existingRule = await prisma.recurringTransaction.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+
+    const { data, error } = validateRecurring(req.body, existingRule);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Check if category belongs to user
+    if (data.categoryId && !(await findUserCategory(userId, data.categoryId))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const today = getTodayDate(req.user.timezone);
+    if (SCHEDULE_FIELDS.some(field => data[field] !== undefined && !isSameValue(data[field], existingRule[field]))) {
+      data.bookFrom = today;
+    }
+
+    const rule = await prisma.recurringTransaction.update({
+      where: { id: existingRule.id },
+      data
+    });
+
+    const created = await generateRecurringTransactions(rule, { today, timeZone: req.user.timezone });
+
+    res.json({
+      message: 'Recurring transaction updated successfully',
+      recurring: withNextOccurrences(rule, today),
+      createdTransactions: created
+    });
+  } catch (error) {
+    console.error('Update recurring transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a single occurrence: amount and/or description. A booked occurrence updates its transaction.
+router.put('/:id/occurrences/:date', async (req, res) => {
+  try {
+    const { rule, date, row, status, error } = await findOccurrence(req.user.id, req.params.id, req.params.date);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { amount, description } = req.body;
+    const data = {};
+
+    if (amount !== undefined) {
+      data.amount = parseMoney(amount);
+      if (data.amount === null || data.amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be positive' });
+      }
+    }
+    if (description !== undefined) {
+      data.description = description?.trim() || '';
+    }
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Amount or description is required' });
+    }
+
+    if (row?.status === 'skipped') {
+      return res.status(400).json({ error: 'Occurrence is skipped, restore it first' });
+    }
+
+    const transaction = row?.transactionId
+      ? await prisma.transaction.findUnique({
+        where: { id: row.transactionId },
+        include: { split: { select: { id: true } } }
+      })
+      : null;
+
+    // The debts of a split are shares of its expense
+    if (transaction?.split && data.amount !== undefined) {
+      return res.status(400).json({ error: 'This expense is split, delete the split before changing its amount' });
+    }
+
+    const occurrence = await prisma.$transaction(async (prisma) => {
+      if (transaction) {
+        // A converted transaction keeps the rate it was booked with
+        const converted = data.amount !== undefined && transaction.currency
+          ? { originalAmount: data.amount, amount: multiplyMoney(data.amount, transaction.exchangeRate) }
+          : {};
+
+        await prisma.transaction.update({
+          where: { id: row.transactionId },
+          data: { ...data, ...converted }
+        });
+      }
+
+      return prisma.recurringOccurrence.upsert({
+        where: { recurringId_date: { recurringId: rule.id, date } },
+        update: data,
+        create: { recurringId: rule.id, date, status: 'pending', ...data },
+        include: { transaction: true }
+      });
+    });
+
+    const alerts = await checkBudgetAlerts(req.user.id, [occurrence.transaction?.savingId]);
+
+    res.json({
+      message: 'Occurrence updated successfully',
+      occurrence: formatOccurrence(occurrence),
+      alerts
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Skip a single occurrence. A booked occurrence has its transaction removed.
+router.post('/:id/occurrences/:date/skip', async (req, res) => {
+  try {
+    const { rule, date, row, status, error } = await findOccurrence(req.user.id, req.params.id, req.params.date);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const attachmentFiles = row?.transactionId
+      ? await findAttachmentFiles({ id: row.transactionId })
+      : [];
+
+    let removed = null;
+    const occurrence = await prisma.$transaction(async (prisma) => {
+      if (row?.transactionId) {
+        removed = await prisma.transaction.delete({
+          where: { id: row.transactionId }
+        });
+      }
+
+      return prisma.recurringOccurrence.upsert({
+        where: { recurringId_date: { recurringId: rule.id, date } },
+        update: { status: 'skipped', transactionId: null },
+        create: { recurringId: rule.id, date, status: 'skipped' }
+      });
+    });
+
+    await removeAttachmentFiles(attachmentFiles);
+
+    const alerts = await checkBudgetAlerts(req.user.id, [removed?.savingId]);
+
+    res.json({
+      message: 'Occurrence skipped successfully',
+      occurrence: formatOccurrence(occurrence),
+      alerts
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Undo a skip or an edit of an occurrence that is not booked yet
+router.delete('/:id/occurrences/:date', async (req, res) => {
+  try {
+    const { rule, row, status, error } = await findOccurrence(req.user.id, req.params.id, req.params.date);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!row) {
+      return res.status(404).json({ error: 'Occurrence has no changes' });
+    }
+    if (row.status === 'posted') {
+      return res.status(400).json({ error: 'Occurrence is already booked, edit or skip it instead' });
+    }
+
+    await prisma.recurringOccurrence.delete({
+      where: { id: row.id }
+    });
+
+    // A restored occurrence in the past is booked right away
+    const created = await generateRecurringTransactions(rule, {
+      today: getTodayDate(req.user.timezone),
+      timeZone: req.user.timezone
+    });
+
+    res.json({
+      message: 'Occurrence restored successfully',
+      createdTransactions: created
+    });
+  } catch (error) {
+    console.error('Restore occurrence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete recurring transaction (transactions already booked are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Check if rule belongs to user
+    const existingRule = await prisma.recurringTransaction.findFirst({
+      where: {
+        id: parseInt(id),
+        userId
+      }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Recurring transaction not found' });
+    }
+
+    await prisma.recurringTransaction.delete({
+      where: { id: existingRule.id }
+    });
+
+    res.json({
+      message: 'Recurring transaction deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete recurring transaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  parseReportRange,
+  getSpendingReport,
+  getTopExpensesReport,
+  getWeekdayReport,
+  getSavingsRateReport,
+  getComparisonReport,
+  getStreakReport
+} from '../utils/reports.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const MAX_TOP_EXPENSES = 50;
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+const report = (name, build) => async (req, res) => {
+  try {
+    const { data: range, error } = parseReportRange(req.query, req.user);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await build(req, range);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error(`${name} report error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Spending, income and deposits per day/week/month with the average daily spend
+router.get('/spending', report('Spending', (req, range) => getSpendingReport(req.user.id, range)));
+
+// Biggest expenses overall and per bucket, ?limit= (default 10)
+router.get('/top-expenses', report('Top expenses', (req, range) => {
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 10;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_EXPENSES) {
+    return { error: `limit must be a whole number between 1 and ${MAX_TOP_EXPENSES}` };
+  }
+
+  return getTopExpensesReport(req.user.id, range, limit);
+}));
+
+// Spending per day of the week
+router.get('/weekdays', report('Weekday', (req, range) => getWeekdayReport(req.user.id, range)));
+
+// Savings rate of the saving periods over time
+router.get('/savings-rate', report('Savings rate', (req, range) => getSavingsRateReport(req.user.id, range)));
+
+// Each bucket compared with the previous one (month-over-month with granularity=month)
+router.get('/comparison', report('Comparison', (req, range) => getComparisonReport(req.user.id, range)));
+
+// Streaks of buckets that stayed within budget
+router.get('/streaks', report('Streak', (req, range) => getStreakReport(req.user.id, range)));
+
+export default router;
@@ -1,14 +1,50 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { getTodayDate, parseISODate, formatISODate } from '../utils/dates.js';
+import {
+  PERIOD_TYPES,
+  MAX_CUSTOM_PERIOD_DAYS,
+  buildMonthlyPeriod,
+  buildWeeklyPeriod,
+  buildCustomPeriod,
+  legacyWeekDate,
+  getPeriodDays,
+  pickActivePeriod
+} from '../utils/periods.js';
+import { buildDailyBreakdown, summarizePeriod, buildCategoryBreakdown, buildMemberBreakdown } from '../utils/budget.js';
+import { renderMonthlyStatement } from '../utils/statement.js';
+import { getPeriodCommitments } from '../utils/recurring.js';
+import { getPlannedPurchases } from '../utils/todos.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+import { parseCurrency } from '../utils/currency.js';
+import { moneyFields, parseMoney, subtractMoney, divideMoney } from '../utils/money.js';
+import { accessWhere, checkGroupAccess, findAccessibleSaving, getGroupMembers } from '../utils/groups.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = new PrismaClient().$extends(moneyFields);
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// Create or update monthly savings
+// Owner of the periods a request is about: the user, or a group of the user with groupId.
+// Returns { owner } (a where/data fragment) or { status, error }.
+const resolveOwner = async (userId, groupId, options) => {
+  if (groupId === undefined || groupId === null || groupId === '') {
+    return { owner: { userId } };
+  }
+
+  const id = parseInt(groupId);
+  const { status, error } = await checkGroupAccess(userId, id, options);
+  return error ? { status, error } : { owner: { groupId: id } };
+};
+
+// Per-member breakdown of a shared period, null for personal ones
+const summarizeMembers = (saving, groupMembers) => (saving.groupId
+  ? buildMemberBreakdown(saving.transactions, groupMembers.get(saving.groupId))
+  : null);
+
+// Create or update a saving period (monthly, weekly or custom date range)
 router.post('/', async (req, res) => {
   try {
     // Support both old and new format for backward compatibility
@@ -18,31 +54,38 @@ router.post('/', async (req, res) => {
       period = 'monthly',
       month,
       year,
-      weekNumber
+      weekNumber,
+      startDate,
+      endDate,
+      currency,
+      groupId
     } = req.body;
     const userId = req.user.id;
 
-    let finalDailyBudget;
-
     // Validation
     if (!monthlyIncome || !savingTarget) {
       return res.status(400).json({ error: 'Monthly income and saving target are required' });
     }
+    if (!PERIOD_TYPES.includes(period)) {
+      return res.status(400).json({ error: 'Period must be monthly, weekly or custom' });
+    }
+    if (currency !== undefined && !parseCurrency(currency)) {
+      return res.status(400).json({ error: 'Currency must be a 3-letter ISO code' });
+    }
 
-    const finalMonthlyIncome = parseFloat(monthlyIncome);
-    const finalSavingTarget = parseFloat(savingTarget);
-    const finalAvailableAmount = finalMonthlyIncome - finalSavingTarget;
-
-    // Calculate daily budget based on period
-    let days;
-    if (period === 'weekly') {
-      days = 7; // 7 days for weekly period
-    } else {
-      days = new Date(year, month, 0).getDate(); // Days in month
+    // With groupId the period is shared by the group instead of belonging to the user
+    const { owner, status, error } = await resolveOwner(userId, groupId, { write: true });
+    if (error) {
+      return res.status(status).json({ error });
     }
-    finalDailyBudget = finalAvailableAmount / days;
+
+    const finalMonthlyIncome = parseMoney(monthlyIncome);
+    const finalSavingTarget = parseMoney(savingTarget);
 
     // Validation
+    if (finalMonthlyIncome === null || finalSavingTarget === null) {
+      return res.status(400).json({ error: 'Monthly income and saving target must be numbers' });
+    }
     if (finalMonthlyIncome <= 0) {
       return res.status(400).json({ error: 'Monthly income must be positive' });
     }
@@ -53,92 +96,114 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Saving target cannot be equal or greater than monthly income' });
     }
 
-    // Common validation
-    if (!month || !year) {
-      return res.status(400).json({ error: 'Month and year are required' });
-    }
-    if (month < 1 || month > 12) {
-      return res.status(400).json({ error: 'Month must be between 1 and 12' });
+    const finalAvailableAmount = subtractMoney(finalMonthlyIncome, finalSavingTarget);
+
+    // Resolve the period's dates
+    let periodData;
+    if (period === 'monthly') {
+      if (!month || !year) {
+        return res.status(400).json({ error: 'Month and year are required' });
+      }
+      if (month < 1 || month > 12) {
+        return res.status(400).json({ error: 'Month must be between 1 and 12' });
+      }
+      periodData = buildMonthlyPeriod(parseInt(year), parseInt(month));
+    } else if (period === 'weekly') {
+      // Any date inside the week, or the old month/year/weekNumber (1-4) format
+      let date = parseISODate(startDate);
+      if (!date && month && year && weekNumber) {
+        if (weekNumber < 1 || weekNumber > 5) {
+          return res.status(400).json({ error: 'Week number must be between 1 and 5' });
+        }
+        date = legacyWeekDate(parseInt(year), parseInt(month), parseInt(weekNumber));
+      }
+      if (!date) {
+        return res.status(400).json({ error: 'Start date (YYYY-MM-DD) is required for weekly savings' });
+      }
+      periodData = buildWeeklyPeriod(date, req.user.weekStartDay);
+    } else {
+      const start = parseISODate(startDate);
+      const end = parseISODate(endDate);
+      if (!start || !end) {
+        return res.status(400).json({ error: 'Start date and end date (YYYY-MM-DD) are required for custom periods' });
+      }
+      if (end < start) {
+        return res.status(400).json({ error: 'End date cannot be before start date' });
+      }
+      if (getPeriodDays({ startDate: start, endDate: end }) > MAX_CUSTOM_PERIOD_DAYS) {
+        return res.status(400).json({ error: `A period cannot be longer than ${MAX_CUSTOM_PERIOD_DAYS} days` });
+      }
+      periodData = buildCustomPeriod(start, end);
     }
 
-    // Create or update saving
-    let saving;
+    // Calculate daily budget based on the number of days in the period
+    const finalDailyBudget = divideMoney(finalAvailableAmount, getPeriodDays(periodData));
 
-    if (period === 'weekly') {
-      // For weekly savings
-      if (!weekNumber) {
-        return res.status(400).json({ error: 'Week number is required for weekly savings' });
+    // Periods of the same type may not overlap, except the one being updated
+    const overlapping = await prisma.saving.findFirst({
+      where: {
+        ...owner,
+        period,
+        startDate: { lte: periodData.endDate },
+        endDate: { gte: periodData.startDate },
+        NOT: { startDate: periodData.startDate }
       }
+    });
 
-      saving = await prisma.saving.upsert({
-        where: {
-          userId_month_year_weekNumber: {
-            userId,
-            month: parseInt(month),
-            year: parseInt(year),
-            weekNumber: parseInt(weekNumber)
-          }
-        },
-        update: {
-          monthlyIncome: finalMonthlyIncome,
-          savingTarget: finalSavingTarget,
-          availableAmount: finalAvailableAmount,
-          dailyBudget: finalDailyBudget,
-          period: period
-        },
-        create: {
-          userId,
-          monthlyIncome: finalMonthlyIncome,
-          savingTarget: finalSavingTarget,
-          availableAmount: finalAvailableAmount,
-          dailyBudget: finalDailyBudget,
-          period: period,
-          month: parseInt(month),
-          year: parseInt(year),
-          weekNumber: parseInt(weekNumber)
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'This period overlaps an existing saving period',
+        overlappingSaving: {
+          id: overlapping.id,
+          startDate: formatISODate(overlapping.startDate),
+          endDate: formatISODate(overlapping.endDate)
         }
       });
-    } else {
-      // For monthly savings, use findFirst + create/update pattern
-      const existingSaving = await prisma.saving.findFirst({
-        where: {
-          userId,
-          month: parseInt(month),
-          year: parseInt(year),
-          weekNumber: null
+    }
+
+    const periodKey = owner.groupId
+      ? { groupId_period_startDate: { groupId: owner.groupId, period, startDate: periodData.startDate } }
+      : { userId_period_startDate: { userId, period, startDate: periodData.startDate } };
+
+    const amounts = {
+      monthlyIncome: finalMonthlyIncome,
+      savingTarget: finalSavingTarget,
+      availableAmount: finalAvailableAmount,
+      dailyBudget: finalDailyBudget
+    };
+
+    // The currency of a period with transactions is fixed, their amounts are stored in it
+    if (currency !== undefined) {
+      const existing = await prisma.saving.findUnique({
+        where: periodKey,
+        include: {
+          _count: {
+            select: { transactions: true }
+          }
         }
       });
 
-      if (existingSaving) {
-        // Update existing monthly saving
-        saving = await prisma.saving.update({
-          where: { id: existingSaving.id },
-          data: {
-            monthlyIncome: finalMonthlyIncome,
-            savingTarget: finalSavingTarget,
-            availableAmount: finalAvailableAmount,
-            dailyBudget: finalDailyBudget,
-            period: period
-          }
-        });
-      } else {
-        // Create new monthly saving
-        saving = await prisma.saving.create({
-          data: {
-            userId,
-            monthlyIncome: finalMonthlyIncome,
-            savingTarget: finalSavingTarget,
-            availableAmount: finalAvailableAmount,
-            dailyBudget: finalDailyBudget,
-            period: period,
-            month: parseInt(month),
-            year: parseInt(year),
-            weekNumber: null
-          }
-        });
+      if (existing && existing.currency !== parseCurrency(currency) && existing._count.transactions > 0) {
+        return res.status(400).json({ error: 'Cannot change the currency of a period with transactions' });
       }
+      amounts.currency = parseCurrency(currency);
     }
 
+    // Create or update saving
+    const saving = await prisma.saving.upsert({
+      where: periodKey,
+      update: {
+        ...amounts,
+        endDate: periodData.endDate
+      },
+      create: {
+        ...owner,
+        currency: req.user.currency,
+        ...amounts,
+        ...periodData
+      }
+    });
+
     res.json({
       message: 'Savings updated successfully',
       saving
@@ -149,36 +214,41 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all savings for user
+// Get all savings for user, including the shared periods of their groups
 router.get('/all', async (req, res) => {
   try {
     const userId = req.user.id;
 
     const savings = await prisma.saving.findMany({
-      where: { userId },
-      orderBy: [
-        { year: 'desc' },
-        { month: 'desc' }
-      ],
+      where: await accessWhere(userId),
+      orderBy: {
+        startDate: 'desc'
+      },
       include: {
-        transactions: true
+        transactions: true,
+        group: {
+          select: { id: true, name: true }
+        }
       }
     });
 
-    // Calculate summaries for each saving
-    const savingsWithSummary = savings.map(saving => {
-      const totalSpent = saving.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
-      const remainingBudget = saving.availableAmount - totalSpent;
-      
-      return {
-        ...saving,
-        summary: {
-          totalSpent,
-          remainingBudget,
-          transactionCount: saving.transactions.length
-        }
-      };
-    });
+    // Calculate summaries for each saving, with recurring transactions still to come
+    const today = getTodayDate(req.user.timezone);
+    const commitments = await getPeriodCommitments(userId, savings, today);
+    const planned = await getPlannedPurchases(savings);
+    const groupMembers = await getGroupMembers(savings.map(saving => saving.groupId));
+    const savingsWithSummary = savings.map(saving => ({
+      ...saving,
+      summary: {
+        ...summarizePeriod(saving, saving.transactions, {
+          timeZone: req.user.timezone,
+          today,
+          upcoming: commitments.get(saving.id),
+          planned: planned.get(saving.id)
+        }),
+        members: summarizeMembers(saving, groupMembers)
+      }
+    }));
 
     res.json(savingsWithSummary);
   } catch (error) {
@@ -187,77 +257,300 @@ router.get('/all', async (req, res) => {
   }
 });
 
-// Get savings for a specific month/year
-router.get('/:year/:month', async (req, res) => {
+// Resolve the active period for a date (defaults to today in the user's timezone).
+// ?groupId= looks at the shared periods of a group instead. The date only picks the period,
+// its status and pace are always as of today.
+router.get('/period', async (req, res) => {
   try {
-    const { year, month } = req.params;
+    const { date, period, groupId } = req.query;
     const userId = req.user.id;
 
-    // For monthly savings, try to find with weekNumber = null first
-    let saving = await prisma.saving.findFirst({
+    const today = getTodayDate(req.user.timezone);
+    const targetDate = date ? parseISODate(date) : today;
+
+    if (!targetDate) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+    if (period !== undefined && !PERIOD_TYPES.includes(period)) {
+      return res.status(400).json({ error: 'Period must be monthly, weekly or custom' });
+    }
+
+    const { owner, status, error } = await resolveOwner(userId, groupId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const candidates = await prisma.saving.findMany({
       where: {
-        userId,
-        month: parseInt(month),
-        year: parseInt(year),
-        weekNumber: null
+        ...owner,
+        ...(period && { period }),
+        startDate: { lte: targetDate },
+        endDate: { gte: targetDate }
       },
       include: {
         transactions: {
           orderBy: {
             date: 'desc'
+          },
+          include: {
+            category: true
+          }
+        },
+        categoryBudgets: {
+          include: {
+            category: true
           }
         }
       }
     });
 
-    if (!saving) {
-      return res.status(404).json({ error: 'Savings not found for this month' });
+    if (candidates.length === 0) {
+      return res.status(404).json({ error: 'No saving period found for this date' });
     }
 
-    // Calculate totals
-    const totalSpent = saving.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
-    const remainingBudget = saving.availableAmount - totalSpent;
-    const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
-    const currentDay = new Date().getDate();
-    const expectedSpent = saving.dailyBudget * currentDay;
-    const difference = expectedSpent - totalSpent;
+    const saving = pickActivePeriod(candidates);
+
+    const commitments = await getPeriodCommitments(userId, [saving], today);
+    const planned = await getPlannedPurchases([saving]);
+    const summary = summarizePeriod(saving, saving.transactions, {
+      timeZone: req.user.timezone,
+      today,
+      upcoming: commitments.get(saving.id),
+      planned: planned.get(saving.id)
+    });
+
+    const { categories, warnings } = buildCategoryBreakdown(saving.transactions, saving.categoryBudgets);
+    const groupMembers = await getGroupMembers([saving.groupId]);
 
     res.json({
       saving,
       summary: {
-        totalSpent,
-        remainingBudget,
-        expectedSpent,
-        difference,
-        daysInMonth,
-        currentDay
+        ...summary,
+        currentDay: summary.elapsedDays,
+        date: formatISODate(targetDate),
+        categories,
+        warnings,
+        members: summarizeMembers(saving, groupMembers)
       }
     });
+  } catch (error) {
+    console.error('Get saving period error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Day-by-day rolling budget for a saving period
+router.get('/:id/daily', async (req, res) => {
+  try {
+    const savingId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    // Check if saving exists and the user can see it
+    const { saving, status, error } = await findAccessibleSaving(userId, savingId, {
+      include: { transactions: true }
+    });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { transactions, ...savingData } = saving;
+    const breakdown = buildDailyBreakdown(saving, transactions, { timeZone: req.user.timezone });
+
+    res.json({
+      saving: savingData,
+      plannedDaily: breakdown.plannedDaily,
+      todayAllowance: breakdown.today ? breakdown.today.allowance : null,
+      days: breakdown.days
+    });
+  } catch (error) {
+    console.error('Get daily budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set per-category spending limits for a saving period (replaces the existing set)
+router.put('/:id/category-limits', async (req, res) => {
+  try {
+    const savingId = parseInt(req.params.id);
+    const { limits } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(limits)) {
+      return res.status(400).json({ error: 'Limits must be an array of { categoryId, limit }' });
+    }
+
+    const items = limits.map(item => ({
+      categoryId: parseInt(item.categoryId),
+      limit: parseMoney(item.limit)
+    }));
+    if (items.some(item => !item.categoryId || item.limit === null || item.limit < 0)) {
+      return res.status(400).json({ error: 'Every limit needs a category ID and a non-negative amount' });
+    }
+
+    // Check if the user can change the saving
+    const { status, error } = await findAccessibleSaving(userId, savingId, { write: true });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Check if categories belong to user
+    const categoryIds = [...new Set(items.map(item => item.categoryId))];
+    if (categoryIds.length !== items.length) {
+      return res.status(400).json({ error: 'Each category can only have one limit' });
+    }
+
+    const categoryCount = await prisma.category.count({
+      where: { id: { in: categoryIds }, userId }
+    });
+
+    if (categoryCount !== categoryIds.length) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const categoryBudgets = await prisma.$transaction(async (prisma) => {
+      await prisma.categoryBudget.deleteMany({
+        where: { savingId }
+      });
+
+      await prisma.categoryBudget.createMany({
+        data: items.map(item => ({ savingId, ...item }))
+      });
+
+      return prisma.categoryBudget.findMany({
+        where: { savingId },
+        include: { category: true }
+      });
+    });
+
+    res.json({
+      message: 'Category limits updated successfully',
+      categoryBudgets
+    });
+  } catch (error) {
+    console.error('Update category limits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Monthly period of a month with its summary, shared by the JSON view and the printable statement.
+// `owner` is the where fragment from resolveOwner.
+const getMonthlyView = async (user, year, month, owner) => {
+  // Monthly period of this month (weekly/custom periods: use /period)
+  const saving = await prisma.saving.findFirst({
+    where: {
+      ...owner,
+      period: 'monthly',
+      month: parseInt(month),
+      year: parseInt(year)
+    },
+    include: {
+      transactions: {
+        orderBy: {
+          date: 'desc'
+        },
+        include: {
+          category: true
+        }
+      },
+      categoryBudgets: {
+        include: {
+          category: true
+        }
+      }
+    }
+  });
+
+  if (!saving) return null;
+
+  // Calculate totals relative to today in the user's timezone
+  const today = getTodayDate(user.timezone);
+  const commitments = await getPeriodCommitments(user.id, [saving], today);
+  const planned = await getPlannedPurchases([saving]);
+  const summary = summarizePeriod(saving, saving.transactions, {
+    timeZone: user.timezone,
+    today,
+    upcoming: commitments.get(saving.id),
+    planned: planned.get(saving.id)
+  });
+
+  const { categories, warnings } = buildCategoryBreakdown(saving.transactions, saving.categoryBudgets);
+  const groupMembers = await getGroupMembers([saving.groupId]);
+
+  return {
+    saving,
+    summary: {
+      ...summary,
+      daysInMonth: summary.totalDays,
+      currentDay: summary.elapsedDays,
+      categories,
+      warnings,
+      members: summarizeMembers(saving, groupMembers)
+    }
+  };
+};
+
+// Get savings for a specific month/year, ?groupId= for the shared period of a group
+router.get('/:year/:month', async (req, res) => {
+  try {
+    const { year, month } = req.params;
+
+    const { owner, status, error } = await resolveOwner(req.user.id, req.query.groupId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const view = await getMonthlyView(req.user, year, month, owner);
+
+    if (!view) {
+      return res.status(404).json({ error: 'Savings not found for this month' });
+    }
+
+    res.json(view);
   } catch (error) {
     console.error('Get savings error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Printable HTML statement of a month (same data as GET /:year/:month)
+router.get('/:year/:month/statement', async (req, res) => {
+  try {
+    const { year, month } = req.params;
+
+    const { owner, status, error } = await resolveOwner(req.user.id, req.query.groupId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const view = await getMonthlyView(req.user, year, month, owner);
+
+    if (!view) {
+      return res.status(404).json({ error: 'Savings not found for this month' });
+    }
+
+    res.type('html').send(renderMonthlyStatement(req.user, view));
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete saving
 router.delete('/:id', async (req, res) => {
   try {
     const savingId = parseInt(req.params.id);
     const userId = req.user.id;
 
-    // Check if saving exists and belongs to user
-    const saving = await prisma.saving.findFirst({
-      where: {
-        id: savingId,
-        userId: userId
-      },
-      include: {
-        transactions: true
-      }
+    // Check if saving exists and the user can change it
+    const { saving, status, error } = await findAccessibleSaving(userId, savingId, {
+      write: true,
+      include: { transactions: true }
     });
 
-    if (!saving) {
-      return res.status(404).json({ error: 'Saving not found or does not belong to you' });
+    if (error) {
+      return res.status(status).json({ error: status === 404 ? 'Saving not found or does not belong to you' : error });
     }
 
     // Check if saving has transactions
@@ -277,6 +570,9 @@ router.delete('/:id', async (req, res) => {
       message: 'Saving deleted successfully',
       deletedSaving: {
         id: saving.id,
+        period: saving.period,
+        startDate: saving.startDate,
+        endDate: saving.endDate,
         month: saving.month,
         year: saving.year
       }
@@ -293,22 +589,18 @@ router.delete('/:id/force', async (req, res) => {
     const savingId = parseInt(req.params.id);
     const userId = req.user.id;
 
-    // Check if saving exists and belongs to user
-    const saving = await prisma.saving.findFirst({
-      where: {
-        id: savingId,
-        userId: userId
-      },
-      include: {
-        transactions: true
-      }
+    // Check if saving exists and the user can change it
+    const { saving, status, error } = await findAccessibleSaving(userId, savingId, {
+      write: true,
+      include: { transactions: true }
     });
 
-    if (!saving) {
-      return res.status(404).json({ error: 'Saving not found or does not belong to you' });
+    if (error) {
+      return res.status(status).json({ error: status === 404 ? 'Saving not found or does not belong to you' : error });
     }
 
     const transactionCount = saving.transactions.length;
+    const attachmentFiles = await findAttachmentFiles({ savingId });
 
     // Delete all transactions first, then the saving
     await prisma.$transaction(async (prisma) => {
@@ -323,10 +615,15 @@ router.delete('/:id/force', async (req, res) => {
       });
     });
 
+    await removeAttachmentFiles(attachmentFiles);
+
     res.json({
       message: 'Saving and all associated transactions deleted successfully',
       deletedSaving: {
         id: saving.id,
+        period: saving.period,
+        startDate: saving.startDate,
+        endDate: saving.endDate,
         month: saving.month,
         year: saving.year
       },
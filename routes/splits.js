@@ -0,0 +1,514 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseISODate, getTodayDate, getStartOfDay } from '../utils/dates.js';
+import { parseCurrency } from '../utils/currency.js';
+import { moneyFields, parseMoney, formatMoney, toCents } from '../utils/money.js';
+import {
+  SPLIT_METHODS,
+  SETTLEMENT_DIRECTIONS,
+  computeShares,
+  formatSplit,
+  splitInclude,
+  formatSettlement,
+  settlementInclude,
+  getBalances,
+  summarizeBalances,
+  bookSettlement
+} from '../utils/splits.js';
+import { notify, notificationUserSelect } from '../utils/notifications.js';
+import { checkBudgetAlerts } from '../utils/alerts.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+
+const router = express.Router();
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Most participants one bill can be split between
+const MAX_PARTICIPANTS = 50;
+const MAX_NOTE_LENGTH = 191;
+
+// Same answer for unknown accounts and strangers, so nobody can probe which emails are registered
+const UNKNOWN_USER_ERROR = 'No one with this account among your groups and splits, add them as a contact instead';
+
+// Registered users the user may split with: members of a shared group and people they already
+// split a bill with. A contact's email does not count, anyone can type one in.
+const isConnected = async (userId, other) => {
+  if (other.id === userId) return true;
+
+  const [sharedGroup, split] = await Promise.all([
+    prisma.groupMember.findFirst({
+      where: { userId: other.id, group: { members: { some: { userId } } } }
+    }),
+    prisma.split.findFirst({
+      where: {
+        OR: [
+          { payerId: userId, shares: { some: { userId: other.id } } },
+          { payerId: other.id, shares: { some: { userId } } }
+        ]
+      }
+    })
+  ]);
+
+  return Boolean(sharedGroup || split);
+};
+
+// Find the other side of a split share or settlement: { userId }, { email } or { contactId }
+// (a contact of the user). Returns { user } or { contact } or { status, error }.
+const resolveParty = async (userId, { userId: otherId, email, contactId }) => {
+  if (contactId !== undefined && contactId !== null) {
+    const contact = await prisma.contact.findFirst({
+      where: { id: parseInt(contactId) || 0, userId }
+    });
+    return contact ? { contact } : { status: 404, error: 'Contact not found' };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: email !== undefined && email !== null
+      ? { email: String(email).trim() }
+      : { id: parseInt(otherId) || 0 },
+    select: notificationUserSelect
+  });
+
+  return user && await isConnected(userId, user)
+    ? { user }
+    : { status: 404, error: UNKNOWN_USER_ERROR };
+};
+
+// Tell registered participants what they owe; a failing notification does not undo the split
+const notifyParticipants = async (payer, split, participants) => {
+  for (const { user, amount } of participants) {
+    if (!user || user.id === payer.id || amount === 0) continue;
+
+    try {
+      await notify(user, [{
+        type: 'split_created',
+        title: `${payer.name} split a bill with you`,
+        message: `Your share of ${split.description ? `"${split.description}"` : 'the bill'} is ` +
+          `${formatMoney(amount, split.currency, user.locale)}.`,
+        dedupeKey: `split_created:${split.id}`,
+        details: { splitId: split.id, amount, currency: split.currency }
+      }]);
+    } catch (error) {
+      console.error('Notify split participant error:', error);
+    }
+  }
+};
+
+// Split an expense of the user between participants. Body: { transactionId, method, participants },
+// participants are [{ userId } | { email } | { contactId }] with `shares` (method "shares") or
+// `amount` (method "exact"). Registered users have to share a group or an earlier split with you. Include yourself (your userId) to carry a share too.
+router.post('/', async (req, res) => {
+  try {
+    const { transactionId, method = 'equal', description } = req.body;
+    const participants = Array.isArray(req.body.participants)
+      ? req.body.participants.map(participant => participant || {})
+      : null;
+    const userId = req.user.id;
+
+    if (!SPLIT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Method must be one of: ${SPLIT_METHODS.join(', ')}` });
+    }
+    if (!participants || participants.length === 0) {
+      return res.status(400).json({ error: 'Participants must be a non-empty array' });
+    }
+    if (participants.length > MAX_PARTICIPANTS) {
+      return res.status(400).json({ error: `A bill can be split between at most ${MAX_PARTICIPANTS} participants` });
+    }
+
+    // Only expenses the user paid can be split
+    const transaction = await prisma.transaction.findFirst({
+      where: {
+        id: parseInt(transactionId) || 0,
+        userId,
+        type: 'expense'
+      },
+      include: {
+        saving: { select: { currency: true } },
+        split: { select: { id: true } }
+      }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+    if (transaction.split) {
+      return res.status(409).json({ error: 'This expense is already split', splitId: transaction.split.id });
+    }
+
+    const resolved = [];
+    for (const participant of participants) {
+      const party = await resolveParty(userId, participant);
+      if (party.error) {
+        return res.status(party.status).json({ error: party.error });
+      }
+      resolved.push({ ...party, key: party.user ? `user:${party.user.id}` : `contact:${party.contact.id}` });
+    }
+
+    if (new Set(resolved.map(party => party.key)).size !== resolved.length) {
+      return res.status(400).json({ error: 'Each participant can only be listed once' });
+    }
+    if (resolved.every(party => party.user?.id === userId)) {
+      return res.status(400).json({ error: 'Split the bill with at least one other person' });
+    }
+
+    const { data: amounts, error } = computeShares(transaction.amount, method, participants);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const split = await prisma.split.create({
+      data: {
+        payerId: userId,
+        transactionId: transaction.id,
+        description: description ? String(description).trim().slice(0, 191) : transaction.description,
+        method,
+        totalAmount: transaction.amount,
+        currency: transaction.saving.currency,
+        date: transaction.date,
+        shares: {
+          create: resolved.map((party, index) => ({
+            userId: party.user?.id ?? null,
+            contactId: party.contact?.id ?? null,
+            shares: method === 'shares' ? Number(participants[index].shares) : null,
+            amount: amounts[index]
+          }))
+        }
+      },
+      include: splitInclude
+    });
+
+    await notifyParticipants(req.user, split, resolved.map((party, index) => ({ user: party.user, amount: amounts[index] })));
+
+    res.status(201).json({
+      message: 'Bill split successfully',
+      split: formatSplit(split, userId)
+    });
+  } catch (error) {
+    console.error('Create split error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the splits the user paid or has a share in, newest first
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const where = {
+      OR: [
+        { payerId: userId },
+        { shares: { some: { userId } } }
+      ]
+    };
+
+    const splits = await prisma.split.findMany({
+      where,
+      include: splitInclude,
+      orderBy: [
+        { date: 'desc' },
+        { id: 'desc' }
+      ],
+      take: parseInt(limit),
+      skip: parseInt(offset)
+    });
+
+    const total = await prisma.split.count({ where });
+
+    res.json({
+      splits: splits.map(split => formatSplit(split, userId)),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Get splits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Who owes whom: running balance with every person per currency, and totals.
+// A positive balance means they owe you.
+router.get('/balances', async (req, res) => {
+  try {
+    const balances = await getBalances(req.user.id);
+
+    res.json({
+      balances,
+      totals: summarizeBalances(balances)
+    });
+  } catch (error) {
+    console.error('Get balances error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the settlements the user recorded or is the counterpart of, newest first
+router.get('/settlements', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const where = {
+      OR: [
+        { userId },
+        { counterpartUserId: userId }
+      ]
+    };
+
+    const settlements = await prisma.settlement.findMany({
+      where,
+      include: settlementInclude,
+      orderBy: [
+        { date: 'desc' },
+        { id: 'desc' }
+      ],
+      take: parseInt(limit),
+      skip: parseInt(offset)
+    });
+
+    const total = await prisma.settlement.count({ where });
+
+    res.json({
+      settlements: settlements.map(settlement => formatSettlement(settlement, userId)),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Settle up with someone: { userId | email | contactId, direction, amount, currency?, date?, note? }.
+// "received" when they paid you back, "paid" when you paid them. Only an open balance in that currency
+// can be settled, up to what is owed. The money is booked into the saving period covering the date
+// of both sides (a refund for who receives, an expense for who pays).
+router.post('/settlements', async (req, res) => {
+  try {
+    const { direction, amount, currency, date, note } = req.body;
+    const userId = req.user.id;
+
+    if (!SETTLEMENT_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: 'Direction must be received or paid' });
+    }
+
+    const finalAmount = parseMoney(amount);
+    if (finalAmount === null || finalAmount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const finalCurrency = currency !== undefined ? parseCurrency(currency) : req.user.currency;
+    if (!finalCurrency) {
+      return res.status(400).json({ error: 'Currency must be a 3-letter ISO code' });
+    }
+
+    const day = date !== undefined ? parseISODate(date) : getTodayDate(req.user.timezone);
+    if (!day) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    if (note !== undefined && note !== null && String(note).length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `Note can be at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const { user: other, contact, status, error } = await resolveParty(userId, req.body);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (other?.id === userId) {
+      return res.status(400).json({ error: 'You cannot settle up with yourself' });
+    }
+
+    // What they owe the user ("received") or the user owes them ("paid")
+    const party = other ? { type: 'user', id: other.id } : { type: 'contact', id: contact.id };
+    const balance = (await getBalances(userId)).find(row => row.currency === finalCurrency &&
+      row.counterpart.type === party.type && row.counterpart.id === party.id)?.balance ?? 0;
+    const owed = direction === 'received' ? balance : -balance;
+
+    if (owed <= 0) {
+      return res.status(400).json({
+        error: direction === 'received'
+          ? `They owe you nothing in ${finalCurrency}`
+          : `You owe them nothing in ${finalCurrency}`
+      });
+    }
+    if (toCents(finalAmount) > toCents(owed)) {
+      return res.status(400).json({ error: `Amount is more than the open balance of ${owed} ${finalCurrency}` });
+    }
+
+    const otherName = other ? other.name : contact.name;
+    const settlement = await prisma.$transaction(async (prisma) => {
+      const transaction = await bookSettlement(prisma, req.user, {
+        type: direction === 'received' ? 'refund' : 'expense',
+        amount: finalAmount,
+        currency: finalCurrency,
+        day,
+        description: note ? String(note) : `Settled up with ${otherName}`
+      });
+
+      const counterpartTransaction = other
+        ? await bookSettlement(prisma, other, {
+          type: direction === 'received' ? 'expense' : 'refund',
+          amount: finalAmount,
+          currency: finalCurrency,
+          day,
+          description: note ? String(note) : `Settled up with ${req.user.name}`
+        })
+        : null;
+
+      return prisma.settlement.create({
+        data: {
+          userId,
+          counterpartUserId: other?.id ?? null,
+          contactId: contact?.id ?? null,
+          direction,
+          amount: finalAmount,
+          currency: finalCurrency,
+          date: getStartOfDay(day, req.user.timezone),
+          note: note ? String(note) : null,
+          transactionId: transaction?.id ?? null,
+          counterpartTransactionId: counterpartTransaction?.id ?? null
+        },
+        include: {
+          ...settlementInclude,
+          transaction: { select: { savingId: true } },
+          counterpartTransaction: { select: { savingId: true } }
+        }
+      });
+    });
+
+    const alerts = await checkBudgetAlerts(userId, [settlement.transaction?.savingId]);
+    if (other) {
+      await checkBudgetAlerts(other.id, [settlement.counterpartTransaction?.savingId]);
+    }
+
+    res.status(201).json({
+      message: 'Settlement recorded successfully',
+      settlement: formatSettlement(settlement, userId),
+      alerts
+    });
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a settlement (either side) with the transactions it booked
+router.delete('/settlements/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const settlement = await prisma.settlement.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        OR: [
+          { userId },
+          { counterpartUserId: userId }
+        ]
+      }
+    });
+
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+
+    const transactionIds = [settlement.transactionId, settlement.counterpartTransactionId].filter(Boolean);
+    const transactions = await prisma.transaction.findMany({
+      where: { id: { in: transactionIds } },
+      select: { userId: true, savingId: true }
+    });
+    const attachmentFiles = await findAttachmentFiles({ id: { in: transactionIds } });
+
+    await prisma.$transaction(async (prisma) => {
+      await prisma.settlement.delete({
+        where: { id: settlement.id }
+      });
+
+      await prisma.transaction.deleteMany({
+        where: { id: { in: transactionIds } }
+      });
+    });
+
+    await removeAttachmentFiles(attachmentFiles);
+
+    // Removing a refund can push a period over budget, on either side
+    const alerts = await checkBudgetAlerts(userId, transactions
+      .filter(transaction => transaction.userId === userId)
+      .map(transaction => transaction.savingId));
+    for (const transaction of transactions.filter(transaction => transaction.userId !== userId)) {
+      await checkBudgetAlerts(transaction.userId, [transaction.savingId]);
+    }
+
+    res.json({
+      message: 'Settlement deleted successfully',
+      deletedTransactions: transactionIds.length,
+      alerts
+    });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a split the user paid or has a share in
+router.get('/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const split = await prisma.split.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        OR: [
+          { payerId: userId },
+          { shares: { some: { userId } } }
+        ]
+      },
+      include: splitInclude
+    });
+
+    if (!split) {
+      return res.status(404).json({ error: 'Split not found' });
+    }
+
+    res.json(formatSplit(split, userId));
+  } catch (error) {
+    console.error('Get split error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a split (payer only); the debts it created are gone, the expense stays
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.split.deleteMany({
+      where: {
+        id: parseInt(req.params.id),
+        payerId: req.user.id
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Split not found' });
+    }
+
+    res.json({
+      message: 'Split deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete split error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,17 +1,210 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { accessWhere, checkGroupAccess, findAccessibleTodo, findAccessibleSaving } from '../utils/groups.js';
+import { parseISODate, getTodayDate, getStartOfDay } from '../utils/dates.js';
+import { findUserCategory } from '../utils/categories.js';
+import { findAttachmentFiles, removeAttachmentFiles } from '../utils/attachments.js';
+import { moneyFields, parseMoney } from '../utils/money.js';
+import {
+  TODO_PRIORITIES,
+  MAX_TODO_DEPTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  todoInclude,
+  formatTodo,
+  getSubtaskProgress,
+  getTodoDepth,
+  getNextPosition,
+  resolveTags,
+  isSameOwner,
+  findBookingPeriod
+} from '../utils/todos.js';
+import { parseTodoQuery } from '../utils/todoQuery.js';
+import { checkBudgetAlerts } from '../utils/alerts.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = new PrismaClient().$extends(moneyFields);
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// Most todos one reorder request may contain
+const MAX_REORDER_ITEMS = 500;
+
+// Todos a request is about: those of one group with ?groupId=, otherwise the user's own and
+// their groups'. Returns { scope } (a where fragment) or { status, error }.
+const resolveScope = async (userId, groupId, { write = false } = {}) => {
+  if (groupId === undefined || groupId === '') {
+    return { scope: await accessWhere(userId, { write }) };
+  }
+
+  const id = parseInt(groupId);
+  const { status, error } = await checkGroupAccess(userId, id, { write });
+  return error ? { status, error } : { scope: { groupId: id } };
+};
+
+// Validate the purchase fields of a todo: estimatedCost, dueDate, savingId and categoryId
+// (null clears them). Returns { data } or { error }.
+const validatePurchase = (body) => {
+  const data = {};
+
+  if (body.estimatedCost !== undefined) {
+    data.estimatedCost = body.estimatedCost === null ? null : parseMoney(body.estimatedCost);
+    if (body.estimatedCost !== null && (data.estimatedCost === null || data.estimatedCost < 0)) {
+      return { error: 'Estimated cost must be a number of 0 or more' };
+    }
+  }
+  if (body.dueDate !== undefined) {
+    data.dueDate = body.dueDate === null ? null : parseISODate(body.dueDate);
+    if (body.dueDate !== null && !data.dueDate) {
+      return { error: 'Due date must be in YYYY-MM-DD format' };
+    }
+  }
+  if (body.savingId !== undefined) {
+    data.savingId = body.savingId === null ? null : parseInt(body.savingId);
+    if (Number.isNaN(data.savingId)) {
+      return { error: 'Saving ID must be a number' };
+    }
+  }
+  if (body.categoryId !== undefined) {
+    data.categoryId = body.categoryId === null ? null : parseInt(body.categoryId);
+    if (Number.isNaN(data.categoryId)) {
+      return { error: 'Category ID must be a number' };
+    }
+  }
+
+  return { data };
+};
+
+// Validate priority (a name from TODO_PRIORITIES) and tags (a list of names, null clears them).
+// Tag names are trimmed and lowercased. Returns { data, tags } or { error }.
+const validateDetails = (body) => {
+  const data = {};
+  let tags;
+
+  if (body.priority !== undefined) {
+    const priority = body.priority === null ? 'none' : body.priority;
+    if (!TODO_PRIORITIES.includes(priority)) {
+      return { error: `Priority must be one of: ${TODO_PRIORITIES.join(', ')}` };
+    }
+    data.priority = TODO_PRIORITIES.indexOf(priority);
+  }
+  if (body.tags !== undefined) {
+    if (body.tags !== null && (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string'))) {
+      return { error: 'Tags must be a list of names' };
+    }
+    tags = [...new Set((body.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `A todo can have at most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+    }
+  }
+
+  return { data, tags };
+};
+
+// Check the saving period and category a todo points to. The period has to belong to the
+// todo's owner (the user, or its group) and the user must be able to change it.
+// Returns { status, error } when something is wrong.
+const checkPurchaseLinks = async (userId, todo, data) => {
+  if (data.savingId) {
+    const { saving, status, error } = await findAccessibleSaving(userId, data.savingId, { write: true });
+    if (error) return { status, error };
+    if (!isSameOwner(todo, saving)) {
+      return { status: 400, error: 'The saving period has to belong to the same owner as the todo' };
+    }
+  }
+  if (data.categoryId && !(await findUserCategory(userId, data.categoryId))) {
+    return { status: 404, error: 'Category not found' };
+  }
+  return {};
+};
+
+// Prepare the booking change of a todo whose completed state changed. `options` is the request body:
+// createTransaction (with actualAmount, otherwise the estimate) books the purchase as an expense
+// when checking off; checking it on again removes the booked transaction (the purchase did not
+// happen). Returns { change } or { status, error }, change is null when nothing is booked or removed.
+const preparePurchase = async (user, todo, completed, { createTransaction, actualAmount }) => {
+  if (completed && createTransaction && !todo.transactionId) {
+    const amount = actualAmount !== undefined && actualAmount !== null ? parseMoney(actualAmount) : todo.estimatedCost;
+    if (amount === null || amount <= 0) {
+      return { status: 400, error: 'A positive actual amount or estimated cost is needed to create the transaction' };
+    }
+
+    const today = getTodayDate(user.timezone);
+    const saving = await findBookingPeriod(todo, today);
+    if (!saving) {
+      return { status: 400, error: 'No saving period to book the purchase into' };
+    }
+
+    return { change: { book: { amount, saving, date: getStartOfDay(today, user.timezone) } } };
+  }
+
+  if (!completed && todo.transactionId) {
+    const transaction = await prisma.transaction.findUnique({ where: { id: todo.transactionId } });
+    const attachmentFiles = await findAttachmentFiles({ id: todo.transactionId });
+    return { change: { unbook: { savingId: transaction?.savingId, attachmentFiles } } };
+  }
+
+  return { change: null };
+};
+
+// Update a todo together with its booking change in one database transaction, so a failed update
+// never leaves a purchase booked or removed. Returns { todo, booking }, booking is null when
+// nothing changed and otherwise { transaction, savingId }.
+const updateTodo = async (user, todo, data, change) => {
+  const { updated, transaction } = await prisma.$transaction(async (prisma) => {
+    let transaction = null;
+
+    if (change?.book) {
+      transaction = await prisma.transaction.create({
+        data: {
+          userId: user.id,
+          savingId: change.book.saving.id,
+          // Categories are personal, so only the todo's creator books it with its category
+          categoryId: todo.userId === user.id ? todo.categoryId : null,
+          amount: change.book.amount,
+          type: 'expense',
+          description: todo.title,
+          date: change.book.date
+        }
+      });
+    }
+    if (change?.unbook) {
+      await prisma.transaction.deleteMany({
+        where: { id: todo.transactionId }
+      });
+    }
+
+    const updated = await prisma.todo.update({
+      where: { id: todo.id },
+      data: { ...data, ...(transaction && { transactionId: transaction.id }) },
+      include: todoInclude
+    });
+
+    return { updated, transaction };
+  });
+
+  if (change?.unbook) {
+    await removeAttachmentFiles(change.unbook.attachmentFiles);
+  }
+
+  return {
+    todo: updated,
+    booking: change && {
+      transaction,
+      savingId: change.book ? transaction.savingId : change.unbook.savingId
+    }
+  };
+};
+
 // Create new todo
 router.post('/', async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { title, description, groupId, parentId } = req.body;
     const userId = req.user.id;
 
     // Validation
@@ -19,18 +212,63 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Title is required' });
     }
 
-    // Create todo
+    const { data: purchase, error: purchaseError } = validatePurchase(req.body);
+    if (purchaseError) {
+      return res.status(400).json({ error: purchaseError });
+    }
+
+    const { data: details, tags, error: detailsError } = validateDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({ error: detailsError });
+    }
+
+    let owner = { userId, groupId: groupId !== undefined && groupId !== null ? parseInt(groupId) : null };
+
+    if (parentId !== undefined && parentId !== null) {
+      // A subtask belongs to the same owner as its parent
+      const { todo: parent, status, error } = await findAccessibleTodo(userId, parseInt(parentId), { write: true });
+      if (error) {
+        return res.status(status).json({ error: status === 404 ? 'Parent todo not found' : error });
+      }
+      if (groupId !== undefined && groupId !== null && owner.groupId !== parent.groupId) {
+        return res.status(400).json({ error: 'A subtask belongs to the group of its parent' });
+      }
+      if (await getTodoDepth({ parentId: parent.id }) > MAX_TODO_DEPTH) {
+        return res.status(400).json({ error: `Todos can be nested at most ${MAX_TODO_DEPTH} levels deep` });
+      }
+      owner = { userId, groupId: parent.groupId, parentId: parent.id };
+    } else if (owner.groupId !== null) {
+      // A todo of a group is shared with its members
+      const { status, error } = await checkGroupAccess(userId, owner.groupId, { write: true });
+      if (error) {
+        return res.status(status).json({ error });
+      }
+    }
+
+    const links = await checkPurchaseLinks(userId, owner, purchase);
+    if (links.error) {
+      return res.status(links.status).json({ error: links.error });
+    }
+
+    const tagIds = await resolveTags(userId, tags || []);
+
+    // Create todo at the end of its list
     const todo = await prisma.todo.create({
       data: {
-        userId,
+        ...owner,
         title: title.trim(),
-        description: description?.trim() || ''
-      }
+        description: description?.trim() || '',
+        ...purchase,
+        ...details,
+        position: await getNextPosition(owner),
+        tags: { connect: tagIds.map(id => ({ id })) }
+      },
+      include: todoInclude
     });
 
     res.status(201).json({
       message: 'Todo created successfully',
-      todo
+      todo: formatTodo(todo)
     });
   } catch (error) {
     console.error('Create todo error:', error);
@@ -38,48 +276,62 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all todos for user
+// Get all todos for user, including those of their groups (?groupId= for one group).
+// Filters: completed, savingId, parentId ("none" for top-level), priority, tag, dueFrom, dueTo,
+// overdue and q (search in title and description). Sort with sort (createdAt, dueDate, priority,
+// position for the manual order, title) and order; open todos always come first.
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { completed, limit = 100, offset = 0 } = req.query;
 
-    const where = { userId };
-    if (completed !== undefined) {
-      where.completed = completed === 'true';
+    const { scope, status, error: scopeError } = await resolveScope(userId, req.query.groupId);
+    if (scopeError) {
+      return res.status(status).json({ error: scopeError });
     }
 
-    const todos = await prisma.todo.findMany({
-      where,
-      orderBy: [
-        { completed: 'asc' },
-        { createdAt: 'desc' }
-      ],
-      take: parseInt(limit),
-      skip: parseInt(offset)
+    const { data, error } = parseTodoQuery(req.query, {
+      scope,
+      today: getTodayDate(req.user.timezone)
     });
 
-    const total = await prisma.todo.count({ where });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Get counts
-    const completedCount = await prisma.todo.count({
-      where: { userId, completed: true }
-    });
-    const pendingCount = await prisma.todo.count({
-      where: { userId, completed: false }
-    });
+    const { where, completed, orderBy, limit, offset } = data;
+
+    const [todos, groups] = await Promise.all([
+      prisma.todo.findMany({
+        where: { ...where, ...(completed !== undefined && { completed }) },
+        orderBy,
+        take: limit,
+        skip: offset,
+        include: todoInclude
+      }),
+      // Open and done todos matching the other filters in one query
+      prisma.todo.groupBy({
+        by: ['completed'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    const countOf = (done) => groups.find(group => group.completed === done)?._count._all ?? 0;
+    const counts = { completed: countOf(true), pending: countOf(false) };
+    const total = completed === undefined ? counts.completed + counts.pending : countOf(completed);
+
+    const progress = await getSubtaskProgress(todos.map(todo => todo.id));
 
     res.json({
-      todos,
+      todos: todos.map(todo => formatTodo(todo, progress.get(todo.id))),
       counts: {
         total,
-        completed: completedCount,
-        pending: pendingCount
+        ...counts
       },
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: parseInt(offset) + parseInt(limit) < total
+        limit,
+        offset,
+        hasMore: offset + limit < total
       }
     });
   } catch (error) {
@@ -88,14 +340,19 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Delete all completed todos
+// Delete all completed todos the user can change with their subtasks (?groupId= for one group)
 router.delete('/completed/all', async (req, res) => {
   try {
     const userId = req.user.id;
 
+    const { scope, status, error } = await resolveScope(userId, req.query.groupId, { write: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
     const result = await prisma.todo.deleteMany({
       where: {
-        userId,
+        ...scope,
         completed: true
       }
     });
@@ -110,24 +367,128 @@ router.delete('/completed/all', async (req, res) => {
   }
 });
 
+// The list a todo is ordered in: subtasks of its parent, or top-level todos of its owner
+const listKey = (todo) => {
+  if (todo.parentId) return `parent:${todo.parentId}`;
+  return todo.groupId ? `group:${todo.groupId}` : `user:${todo.userId}`;
+};
+
+// Save the manual order of one list: { ids } are todos with the same parent (or top-level todos
+// of the same owner) in their new order. Sort by position to get it back.
+router.put('/reorder', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+      return res.status(400).json({ error: 'ids must be a non-empty list of todo IDs' });
+    }
+    if (ids.length > MAX_REORDER_ITEMS) {
+      return res.status(400).json({ error: `At most ${MAX_REORDER_ITEMS} todos can be reordered at once` });
+    }
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'ids contains duplicates' });
+    }
+
+    const todos = await prisma.todo.findMany({
+      where: { id: { in: ids }, ...(await accessWhere(userId, { write: true })) },
+      select: { id: true, userId: true, groupId: true, parentId: true }
+    });
+
+    if (todos.length !== ids.length) {
+      return res.status(404).json({ error: 'One or more todos not found' });
+    }
+
+    if (new Set(todos.map(listKey)).size > 1) {
+      return res.status(400).json({ error: 'Only todos of the same list can be reordered together' });
+    }
+
+    await prisma.$transaction(ids.map((id, position) => prisma.todo.update({
+      where: { id },
+      data: { position }
+    })));
+
+    res.json({
+      message: 'Todos reordered successfully',
+      todos: ids.map((id, position) => ({ id, position }))
+    });
+  } catch (error) {
+    console.error('Reorder todos error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the user's tags with how many todos use them
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await prisma.todoTag.findMany({
+      where: { userId: req.user.id },
+      include: { _count: { select: { todos: true } } },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(tags.map(({ _count, ...tag }) => ({ ...tag, todoCount: _count.todos })));
+  } catch (error) {
+    console.error('Get todo tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a tag, the todos keep their other tags
+router.delete('/tags/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.todoTag.deleteMany({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete todo tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get single todo
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const todo = await prisma.todo.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
+    const { status, error } = await findAccessibleTodo(userId, parseInt(id));
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { subtasks, ...todo } = await prisma.todo.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        ...todoInclude,
+        subtasks: {
+          include: todoInclude,
+          orderBy: [{ position: 'asc' }, { id: 'asc' }]
+        }
       }
     });
 
-    if (!todo) {
-      return res.status(404).json({ error: 'Todo not found' });
-    }
+    const progress = await getSubtaskProgress(subtasks.map(subtask => subtask.id));
 
-    res.json(todo);
+    res.json({
+      ...formatTodo(todo, {
+        total: subtasks.length,
+        completed: subtasks.filter(subtask => subtask.completed).length
+      }),
+      subtasks: subtasks.map(subtask => formatTodo(subtask, progress.get(subtask.id)))
+    });
   } catch (error) {
     console.error('Get todo error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -138,19 +499,14 @@ router.get('/:id', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, completed } = req.body;
+    const { title, description, completed, createTransaction, actualAmount } = req.body;
     const userId = req.user.id;
 
-    // Check if todo belongs to user
-    const existingTodo = await prisma.todo.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
-      }
-    });
+    // Check if the user can change the todo
+    const { todo: existingTodo, status, error } = await findAccessibleTodo(userId, parseInt(id), { write: true });
 
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
     // Prepare update data
@@ -168,15 +524,56 @@ router.put('/:id', async (req, res) => {
       updateData.completed = Boolean(completed);
     }
 
+    const { data: purchase, error: purchaseError } = validatePurchase(req.body);
+    if (purchaseError) {
+      return res.status(400).json({ error: purchaseError });
+    }
+
+    const { data: details, tags, error: detailsError } = validateDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({ error: detailsError });
+    }
+
+    const links = await checkPurchaseLinks(userId, existingTodo, purchase);
+    if (links.error) {
+      return res.status(links.status).json({ error: links.error });
+    }
+
+    // Checking off can book the purchase, checking it on again removes it
+    const purchaseTodo = { ...existingTodo, ...purchase, ...updateData };
+    let change = null;
+    if (updateData.completed !== undefined && updateData.completed !== existingTodo.completed) {
+      const result = await preparePurchase(req.user, purchaseTodo, updateData.completed, {
+        createTransaction,
+        actualAmount
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      change = result.change;
+    }
+
+    // Given tags replace all current ones of the todo
+    const tagIds = tags && await resolveTags(userId, tags);
+
     // Update todo
-    const todo = await prisma.todo.update({
-      where: { id: parseInt(id) },
-      data: updateData
-    });
+    const { todo, booking } = await updateTodo(req.user, purchaseTodo, {
+      ...updateData,
+      ...purchase,
+      ...details,
+      ...(tagIds && { tags: { set: tagIds.map(tagId => ({ id: tagId })) } })
+    }, change);
+
+    const progress = await getSubtaskProgress([todo.id]);
 
     res.json({
       message: 'Todo updated successfully',
-      todo
+      todo: formatTodo(todo, progress.get(todo.id)),
+      ...(booking && {
+        transaction: booking.transaction,
+        alerts: await checkBudgetAlerts(userId, [booking.savingId])
+      })
     });
   } catch (error) {
     console.error('Update todo error:', error);
@@ -190,29 +587,39 @@ router.patch('/:id/toggle', async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if todo belongs to user
-    const existingTodo = await prisma.todo.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
-      }
-    });
+    // Check if the user can change the todo
+    const { todo: existingTodo, status, error } = await findAccessibleTodo(userId, parseInt(id), { write: true });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+    // Checking off can book the purchase ({ createTransaction, actualAmount }), checking it on again removes it
+    const { change, status: bookingStatus, error: bookingError } = await preparePurchase(
+      req.user,
+      existingTodo,
+      !existingTodo.completed,
+      req.body || {}
+    );
+
+    if (bookingError) {
+      return res.status(bookingStatus).json({ error: bookingError });
     }
 
     // Toggle completion
-    const todo = await prisma.todo.update({
-      where: { id: parseInt(id) },
-      data: {
-        completed: !existingTodo.completed
-      }
-    });
+    const { todo, booking } = await updateTodo(req.user, existingTodo, {
+      completed: !existingTodo.completed
+    }, change);
+
+    const progress = await getSubtaskProgress([todo.id]);
 
     res.json({
       message: 'Todo status updated successfully',
-      todo
+      todo: formatTodo(todo, progress.get(todo.id)),
+      ...(booking && {
+        transaction: booking.transaction,
+        alerts: await checkBudgetAlerts(userId, [booking.savingId])
+      })
     });
   } catch (error) {
     console.error('Toggle todo error:', error);
@@ -226,19 +633,14 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if todo belongs to user
-    const existingTodo = await prisma.todo.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
-      }
-    });
+    // Check if the user can change the todo
+    const { todo: existingTodo, status, error } = await findAccessibleTodo(userId, parseInt(id), { write: true });
 
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Delete todo
+    // Delete todo, its subtasks go with it via cascade
     await prisma.todo.delete({
       where: { id: parseInt(id) }
     });
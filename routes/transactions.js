@@ -1,57 +1,199 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { getLocalDate, formatISODate } from '../utils/dates.js';
+import {
+  TRANSACTION_TYPES,
+  getSpentAmount,
+  getBudgetImpact,
+  getSpendingBudget,
+  getElapsedDays,
+  getExpectedSpent
+} from '../utils/budget.js';
+import { findUserCategory } from '../utils/categories.js';
+import { parseTransactionQuery, encodeCursor } from '../utils/transactionQuery.js';
+import {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  validateMapping,
+  readCsvStatement,
+  readOfxStatement,
+  prepareImport,
+  toTransactionData
+} from '../utils/transactionImport.js';
+import {
+  receiveAttachments,
+  validateAttachments,
+  storeAttachments,
+  removeAttachmentFiles,
+  findAttachmentFiles,
+  formatAttachment
+} from '../utils/attachments.js';
+import { getStorage } from '../utils/storage.js';
+import { parseCurrency, loadRateLookup, convertTransactionAmount } from '../utils/currency.js';
+import { moneyFields, parseMoney, sumMoney, subtractMoney, toCents } from '../utils/money.js';
+import { checkBudgetAlerts } from '../utils/alerts.js';
+import { accessWhere, findAccessibleSaving, findAccessibleTransaction } from '../utils/groups.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = new PrismaClient().$extends(moneyFields);
 
 // All routes require authentication
 router.use(authenticateToken);
 
+const TYPE_ERROR = `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`;
+
+// Most items one batch request may contain
+const MAX_BATCH_ITEMS = 500;
+
+// Validate transaction fields; `partial` for updates. Returns { data } or { error }.
+const validateTransaction = (body, partial = false) => {
+  const data = {};
+
+  if (!partial) {
+    if (!body.amount || !body.savingId) {
+      return { error: 'Amount and saving ID are required' };
+    }
+    data.savingId = parseInt(body.savingId);
+    if (isNaN(data.savingId)) {
+      return { error: 'Saving ID must be a number' };
+    }
+  }
+
+  // The type says which way the money goes, so amounts are always positive
+  if (body.amount !== undefined || !partial) {
+    const amount = parseMoney(body.amount);
+    if (amount === null || amount <= 0) {
+      return { error: 'Amount must be positive' };
+    }
+    data.amount = amount;
+  }
+
+  if (body.type !== undefined || !partial) {
+    const type = body.type ?? 'expense';
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return { error: TYPE_ERROR };
+    }
+    data.type = type;
+  }
+
+  if (body.description !== undefined || !partial) {
+    data.description = body.description || '';
+  }
+
+  if (body.date) {
+    const date = new Date(body.date);
+    if (isNaN(date.getTime())) {
+      return { error: 'Date is invalid' };
+    }
+    data.date = date;
+  } else if (!partial) {
+    data.date = new Date();
+  }
+
+  // null removes the category
+  if (body.categoryId !== undefined || !partial) {
+    data.categoryId = body.categoryId ? parseInt(body.categoryId) : null;
+    if (Number.isNaN(data.categoryId)) {
+      return { error: 'Category ID must be a number' };
+    }
+  }
+
+  // Currency the amount was paid in; null or empty means the period's currency
+  if (body.currency !== undefined && body.currency !== null && body.currency !== '') {
+    data.currency = parseCurrency(body.currency);
+    if (!data.currency) {
+      return { error: 'Currency must be a 3-letter ISO code' };
+    }
+  } else if (body.currency !== undefined) {
+    data.currency = null;
+  }
+
+  return { data };
+};
+
+const SPLIT_CHANGE_ERROR = 'This expense is split, delete the split before changing its amount or type';
+
+// The debts of a split are shares of its expense, so a split expense keeps its amount and type.
+// `data` are the converted update fields.
+const changesSplitExpense = (existing, data) => Boolean(existing.split) && (
+  (data.amount !== undefined && toCents(data.amount) !== toCents(existing.amount)) ||
+  (data.type !== undefined && data.type !== existing.type)
+);
+
+// Convert the entered amount into the period's currency when it was paid in another one.
+// When updating, `existing` is the stored transaction and a new amount is in the transaction's currency.
+// Returns { data } with amount, currency, originalAmount and exchangeRate filled, or { error }.
+const applyCurrency = (lookup, data, { saving, existing = null, timeZone }) => {
+  if (data.amount === undefined && data.currency === undefined && data.date === undefined) {
+    return { data };
+  }
+
+  const currentCurrency = existing?.currency ?? null;
+  const currency = data.currency !== undefined ? data.currency : currentCurrency;
+  const changesCurrency = (currency === saving.currency ? null : currency) !== currentCurrency;
+
+  if (existing && changesCurrency && data.amount === undefined) {
+    return { error: 'Amount is required when changing the currency' };
+  }
+
+  const { data: amounts, error } = convertTransactionAmount(lookup, {
+    amount: data.amount ?? existing.originalAmount ?? existing.amount,
+    currency,
+    saving,
+    date: getLocalDate(data.date ?? existing.date, timeZone)
+  });
+
+  return error ? { error } : { data: { ...data, ...amounts } };
+};
+
 // Create new transaction
 router.post('/', async (req, res) => {
   try {
-    const { amount, description, date, savingId } = req.body;
+    const { data, error } = validateTransaction(req.body);
     const userId = req.user.id;
 
-    // Validation
-    if (!amount || !savingId) {
-      return res.status(400).json({ error: 'Amount and saving ID are required' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Amount must be positive' });
+    // Check if the user can add to the saving (their own or one of a group)
+    const { saving, status, error: accessError } = await findAccessibleSaving(userId, data.savingId, { write: true });
+
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
     }
 
-    // Check if saving belongs to user
-    const saving = await prisma.saving.findFirst({
-      where: {
-        id: parseInt(savingId),
-        userId
-      }
-    });
+    // Check if category belongs to user
+    if (data.categoryId && !(await findUserCategory(userId, data.categoryId))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
 
-    if (!saving) {
-      return res.status(404).json({ error: 'Saving not found' });
+    const lookup = await loadRateLookup(userId, [data.currency, saving.currency]);
+    const converted = applyCurrency(lookup, data, { saving, timeZone: req.user.timezone });
+
+    if (converted.error) {
+      return res.status(400).json({ error: converted.error });
     }
 
     // Create transaction
     const transaction = await prisma.transaction.create({
       data: {
         userId,
-        savingId: parseInt(savingId),
-        amount: parseFloat(amount),
-        description: description || '',
-        date: date ? new Date(date) : new Date()
+        ...converted.data
       },
       include: {
-        saving: true
+        saving: true,
+        category: true
       }
     });
 
+    const alerts = await checkBudgetAlerts(userId, [transaction.savingId]);
+
     res.status(201).json({
       message: 'Transaction created successfully',
-      transaction
+      transaction,
+      alerts
     });
   } catch (error) {
     console.error('Create transaction error:', error);
@@ -59,37 +201,290 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Create, update and delete many transactions at once, e.g. a week of receipts.
+// All or nothing: when any item is invalid nothing is saved and every problem is reported.
+router.post('/batch', async (req, res) => {
+  try {
+    const { create = [], update = [], delete: remove = [] } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(create) || !Array.isArray(update) || !Array.isArray(remove)) {
+      return res.status(400).json({ error: 'create, update and delete must be arrays' });
+    }
+
+    const itemCount = create.length + update.length + remove.length;
+    if (itemCount === 0) {
+      return res.status(400).json({ error: 'Batch is empty' });
+    }
+    if (itemCount > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_ITEMS} items` });
+    }
+
+    const errors = [];
+    const addError = (operation, index, error) => errors.push({ operation, index, error });
+
+    const creates = create.map((item, index) => {
+      const { data, error } = validateTransaction(item || {});
+      if (error) addError('create', index, error);
+      return data;
+    });
+
+    const updates = update.map((item, index) => {
+      const id = parseInt(item?.id);
+      if (isNaN(id)) {
+        addError('update', index, 'Transaction ID is required');
+        return null;
+      }
+
+      const { data, error } = validateTransaction(item, true);
+      if (error) addError('update', index, error);
+      return data && { id, data };
+    });
+
+    const deletes = remove.map((item, index) => {
+      const id = parseInt(item?.id ?? item);
+      if (isNaN(id)) addError('delete', index, 'Transaction ID is required');
+      return id;
+    });
+
+    // Check that everything referenced belongs to the user or a group they can change, one query per kind
+    const savingIds = creates.filter(Boolean).map(data => data.savingId);
+    const categoryIds = [...creates, ...updates.map(item => item?.data)]
+      .filter(data => data?.categoryId)
+      .map(data => data.categoryId);
+    const transactionIds = [...updates.filter(Boolean).map(item => item.id), ...deletes.filter(id => !isNaN(id))];
+
+    const writable = await accessWhere(userId, { write: true });
+    const [savings, categories, transactions] = await Promise.all([
+      prisma.saving.findMany({ where: { id: { in: savingIds }, ...writable }, select: { id: true, currency: true } }),
+      prisma.category.findMany({ where: { id: { in: categoryIds }, userId }, select: { id: true } }),
+      prisma.transaction.findMany({
+        where: { id: { in: transactionIds }, saving: writable },
+        select: {
+          id: true,
+          savingId: true,
+          amount: true,
+          type: true,
+          date: true,
+          currency: true,
+          originalAmount: true,
+          saving: { select: { currency: true } },
+          split: { select: { id: true } }
+        }
+      })
+    ]);
+
+    const ownSavings = new Map(savings.map(saving => [saving.id, saving]));
+    const ownCategories = new Set(categories.map(category => category.id));
+    const ownTransactions = new Map(transactions.map(transaction => [transaction.id, transaction]));
+    const deletedIds = new Set(deletes);
+
+    const lookup = await loadRateLookup(userId, [
+      ...creates.map(data => data?.currency),
+      ...updates.map(item => item?.data.currency),
+      ...savings.map(saving => saving.currency),
+      ...transactions.flatMap(transaction => [transaction.currency, transaction.saving.currency])
+    ]);
+    const timeZone = req.user.timezone;
+
+    creates.forEach((data, index) => {
+      if (!data) return;
+      if (!ownSavings.has(data.savingId)) return addError('create', index, 'Saving not found');
+      if (data.categoryId && !ownCategories.has(data.categoryId)) return addError('create', index, 'Category not found');
+
+      const converted = applyCurrency(lookup, data, { saving: ownSavings.get(data.savingId), timeZone });
+      if (converted.error) addError('create', index, converted.error);
+      else creates[index] = converted.data;
+    });
+
+    updates.forEach((item, index) => {
+      if (!item) return;
+      if (!ownTransactions.has(item.id)) return addError('update', index, 'Transaction not found');
+      if (deletedIds.has(item.id)) return addError('update', index, 'Transaction is also deleted in this batch');
+      if (item.data.categoryId && !ownCategories.has(item.data.categoryId)) return addError('update', index, 'Category not found');
+
+      const existing = ownTransactions.get(item.id);
+      const converted = applyCurrency(lookup, item.data, { saving: existing.saving, existing, timeZone });
+      if (converted.error) addError('update', index, converted.error);
+      else if (changesSplitExpense(existing, converted.data)) addError('update', index, SPLIT_CHANGE_ERROR);
+      else item.data = converted.data;
+    });
+
+    deletes.forEach((id, index) => {
+      if (!isNaN(id) && !ownTransactions.has(id)) addError('delete', index, 'Transaction not found');
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Batch contains invalid items, nothing was saved',
+        errors
+      });
+    }
+
+    // Files are removed once the deletes are committed
+    const attachmentFiles = deletes.length > 0
+      ? await findAttachmentFiles({ id: { in: deletes } })
+      : [];
+
+    const result = await prisma.$transaction(async (prisma) => {
+      const created = [];
+      for (const data of creates) {
+        created.push(await prisma.transaction.create({
+          data: { userId, ...data },
+          include: { category: true }
+        }));
+      }
+
+      const updated = [];
+      for (const { id, data } of updates) {
+        updated.push(await prisma.transaction.update({
+          where: { id },
+          data,
+          include: { category: true }
+        }));
+      }
+
+      // Every id was checked above
+      const { count: deleted } = await prisma.transaction.deleteMany({
+        where: { id: { in: deletes } }
+      });
+
+      return { created, updated, deleted };
+    });
+
+    await removeAttachmentFiles(attachmentFiles);
+
+    const alerts = await checkBudgetAlerts(userId, [
+      ...[...result.created, ...result.updated].map(transaction => transaction.savingId),
+      ...deletes.map(id => ownTransactions.get(id).savingId)
+    ]);
+
+    res.json({
+      message: 'Batch processed successfully',
+      ...result,
+      alerts
+    });
+  } catch (error) {
+    console.error('Batch transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import a CSV (with column mapping) or OFX statement. Every row is matched to the saving
+// period covering its date and checked against existing transactions; dryRun only previews.
+router.post('/import', async (req, res) => {
+  try {
+    const { format, content, mapping, currency, dryRun = false, includeDuplicates = false } = req.body;
+    const userId = req.user.id;
+    const timeZone = req.user.timezone;
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or ofx' });
+    }
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+
+    let statement;
+    if (format === 'csv') {
+      const { data, error } = validateMapping(mapping);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      statement = readCsvStatement(content, data);
+    } else {
+      statement = readOfxStatement(content);
+    }
+
+    if (statement.error) {
+      return res.status(400).json({ error: statement.error });
+    }
+    if (statement.rows.length === 0) {
+      return res.status(400).json({ error: 'No transactions found in the file' });
+    }
+    if (statement.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `A file can contain at most ${MAX_IMPORT_ROWS} transactions` });
+    }
+
+    // Statement currency: given explicitly, from the OFX file, or the currency of each period
+    const statementCurrency = currency ? parseCurrency(currency) : statement.currency;
+    if (currency && !statementCurrency) {
+      return res.status(400).json({ error: 'Currency must be a 3-letter ISO code' });
+    }
+
+    const rows = await prepareImport(userId, statement.rows, { timeZone, currency: statementCurrency ?? null });
+
+    // Likely duplicates are only imported on request; rows with an already imported ID never are
+    const toImport = rows.filter(row =>
+      row.status === 'new' || (includeDuplicates && row.status === 'duplicate' && row.duplicateOf && row.savingId)
+    );
+
+    const summary = { total: rows.length, toImport: toImport.length };
+    for (const row of rows) {
+      summary[row.status] = (summary[row.status] || 0) + 1;
+    }
+
+    const preview = rows.map(row => ({
+      ...row,
+      date: row.date ? formatISODate(row.date) : null
+    }));
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        summary,
+        rows: preview
+      });
+    }
+
+    const { count } = await prisma.transaction.createMany({
+      data: toImport.map(row => toTransactionData(userId, row, timeZone)),
+      skipDuplicates: true
+    });
+
+    const alerts = await checkBudgetAlerts(userId, toImport.map(row => row.savingId));
+
+    res.status(201).json({
+      message: 'Transactions imported successfully',
+      imported: count,
+      alerts,
+      summary,
+      rows: preview
+    });
+  } catch (error) {
+    console.error('Import transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get transactions for a specific saving
 router.get('/saving/:savingId', async (req, res) => {
   try {
     const { savingId } = req.params;
     const userId = req.user.id;
 
-    // Check if saving belongs to user
-    const saving = await prisma.saving.findFirst({
-      where: {
-        id: parseInt(savingId),
-        userId
-      }
-    });
+    // Check if the user can see the saving
+    const { saving, status, error } = await findAccessibleSaving(userId, parseInt(savingId));
 
-    if (!saving) {
-      return res.status(404).json({ error: 'Saving not found' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
+    // All transactions of the period, in shared periods those of every member
     const transactions = await prisma.transaction.findMany({
       where: {
-        savingId: parseInt(savingId),
-        userId
+        savingId: saving.id
       },
       orderBy: {
-        date: 'desc'
+        date: 'asc'
       },
       include: {
         saving: {
           select: {
-            monthlyAmount: true,
+            monthlyIncome: true,
             dailyBudget: true,
+            startDate: true,
+            endDate: true,
             month: true,
             year: true
           }
@@ -97,45 +492,56 @@ router.get('/saving/:savingId', async (req, res) => {
       }
     });
 
-    // Calculate running totals and daily differences
+    // Calculate running totals and differences against the plan, oldest first.
+    // Income and deposits to savings change the budget the plan is measured against.
+    const budget = getSpendingBudget(saving, transactions);
     let runningTotal = 0;
-    const transactionsWithCalculations = transactions.map((transaction, index) => {
-      runningTotal += transaction.amount;
-      
-      // Calculate expected spending up to this transaction's date
-      const transactionDate = new Date(transaction.date);
-      const dayOfMonth = transactionDate.getDate();
-      const expectedSpent = saving.dailyBudget * dayOfMonth;
-      const difference = expectedSpent - runningTotal;
+    let remainingBudget = saving.availableAmount;
+    const transactionsWithCalculations = transactions.map(transaction => {
+      runningTotal = sumMoney([runningTotal, getSpentAmount(transaction)]);
+      remainingBudget = subtractMoney(remainingBudget, getBudgetImpact(transaction));
+
+      // Expected spending up to this transaction's day of the period (user's timezone)
+      const transactionDate = getLocalDate(new Date(transaction.date), req.user.timezone);
+      const expectedSpent = getExpectedSpent(saving, getElapsedDays(saving, transactionDate), budget);
 
       return {
         ...transaction,
         runningTotal,
+        remainingBudget,
         expectedSpent,
-        difference: difference >= 0 ? `+${difference.toFixed(2)}` : difference.toFixed(2)
+        difference: subtractMoney(expectedSpent, runningTotal)
       };
     });
 
-    res.json(transactionsWithCalculations.reverse()); // Show oldest first for running total
+    res.json(transactionsWithCalculations);
   } catch (error) {
     console.error('Get transactions error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get all transactions for user
+// Get all transactions for user (with those of their groups' periods), with filters, search, sorting and pagination.
+// Pass nextCursor back as ?cursor= for the next page; offset is still accepted for older clients.
 router.get('/', async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { limit = 50, offset = 0 } = req.query;
+    const { data, error } = parseTransactionQuery(req.query, {
+      scope: { saving: await accessWhere(req.user.id) },
+      timeZone: req.user.timezone
+    });
 
-    const transactions = await prisma.transaction.findMany({
-      where: { userId },
-      orderBy: {
-        date: 'desc'
-      },
-      take: parseInt(limit),
-      skip: parseInt(offset),
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { where, orderBy, limit, offset, sort, order } = data;
+
+    // One extra row tells whether there is a next page without counting
+    const rows = await prisma.transaction.findMany({
+      where,
+      orderBy,
+      take: limit + 1,
+      ...(offset !== null && { skip: offset }),
       include: {
         saving: {
           select: {
@@ -143,22 +549,31 @@ router.get('/', async (req, res) => {
             year: true,
             dailyBudget: true
           }
+        },
+        category: true,
+        _count: {
+          select: { attachments: true }
         }
       }
     });
 
-    const total = await prisma.transaction.count({
-      where: { userId }
-    });
+    const hasMore = rows.length > limit;
+    const transactions = rows.slice(0, limit);
+
+    const pagination = {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], { sort, order }) : null
+    };
+
+    if (offset !== null) {
+      pagination.offset = offset;
+      pagination.total = await prisma.transaction.count({ where });
+    }
 
     res.json({
       transactions,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: parseInt(offset) + parseInt(limit) < total
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get all transactions error:', error);
@@ -166,41 +581,242 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Find a transaction the user can reach, with the attachment `attachmentId` when given.
+// `write` for changes, see findAccessibleTransaction.
+const findAttachment = async (userId, transactionId, attachmentId, { write = false } = {}) => {
+  const { transaction, status, error } = await findAccessibleTransaction(userId, parseInt(transactionId), { write });
+
+  if (error) return { status, error };
+
+  const attachment = await prisma.attachment.findFirst({
+    where: {
+      id: parseInt(attachmentId),
+      transactionId: transaction.id
+    }
+  });
+
+  if (!attachment) return { status: 404, error: 'Attachment not found' };
+
+  return { transaction, attachment };
+};
+
+// Send a stored file; ?download=1 saves it instead of showing it in the browser
+const sendStoredFile = async (res, key, { mimeType, fileName, download }) => {
+  let stream;
+  try {
+    stream = await getStorage().get(key);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    throw error;
+  }
+
+  // res.attachment() guesses the type from the name, so the detected type is set afterwards
+  res.attachment(fileName);
+  if (!download) {
+    res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  stream.on('error', (error) => {
+    console.error('Send attachment error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Upload receipts (multipart field "files": images or PDF)
+router.post('/:id/attachments', receiveAttachments, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Check if the user can change the transaction
+    const { transaction, status, error: accessError } = await findAccessibleTransaction(userId, parseInt(req.params.id), {
+      write: true,
+      include: {
+        _count: {
+          select: { attachments: true }
+        }
+      }
+    });
+
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data, error } = validateAttachments(req.files, transaction._count.attachments);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const attachments = await storeAttachments(transaction, data);
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments: attachments.map(formatAttachment)
+    });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get attachments of a transaction
+router.get('/:id/attachments', async (req, res) => {
+  try {
+    // Check if the user can see the transaction
+    const { transaction, status, error } = await findAccessibleTransaction(req.user.id, parseInt(req.params.id), {
+      include: {
+        attachments: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json(transaction.attachments.map(formatAttachment));
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an attachment
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { attachment, status, error } = await findAttachment(req.user.id, req.params.id, req.params.attachmentId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await sendStoredFile(res, attachment.storageKey, {
+      mimeType: attachment.mimeType,
+      fileName: attachment.fileName,
+      download: req.query.download === '1' || req.query.download === 'true'
+    });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Thumbnail of an image attachment
+router.get('/:id/attachments/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const { attachment, status, error } = await findAttachment(req.user.id, req.params.id, req.params.attachmentId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!attachment.thumbnailKey) {
+      return res.status(404).json({ error: 'Attachment has no thumbnail' });
+    }
+
+    await sendStoredFile(res, attachment.thumbnailKey, {
+      mimeType: 'image/webp',
+      fileName: `${attachment.fileName.replace(/\.[^.]*$/, '')}.webp`
+    });
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an attachment
+router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { attachment, status, error } = await findAttachment(req.user.id, req.params.id, req.params.attachmentId, {
+      write: true
+    });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await prisma.attachment.delete({
+      where: { id: attachment.id }
+    });
+
+    await removeAttachmentFiles([attachment]);
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update transaction
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, description, date } = req.body;
+    const { data, error } = validateTransaction(req.body, true);
     const userId = req.user.id;
 
-    // Check if transaction belongs to user
-    const existingTransaction = await prisma.transaction.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
-      }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Check if the user can change the transaction
+    const {
+      transaction: existingTransaction,
+      status,
+      error: accessError
+    } = await findAccessibleTransaction(userId, parseInt(id), {
+      write: true,
+      include: { split: { select: { id: true } } }
+    });
+
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    // Check if category belongs to user (null removes the category)
+    if (data.categoryId && !(await findUserCategory(userId, data.categoryId))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { saving } = existingTransaction;
+    const lookup = await loadRateLookup(userId, [data.currency, existingTransaction.currency, saving.currency]);
+    const converted = applyCurrency(lookup, data, {
+      saving,
+      existing: existingTransaction,
+      timeZone: req.user.timezone
     });
 
-    if (!existingTransaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    if (converted.error) {
+      return res.status(400).json({ error: converted.error });
+    }
+    if (changesSplitExpense(existingTransaction, converted.data)) {
+      return res.status(400).json({ error: SPLIT_CHANGE_ERROR });
     }
 
     // Update transaction
     const transaction = await prisma.transaction.update({
       where: { id: parseInt(id) },
-      data: {
-        ...(amount && { amount: parseFloat(amount) }),
-        ...(description !== undefined && { description }),
-        ...(date && { date: new Date(date) })
-      },
+      data: converted.data,
       include: {
-        saving: true
+        saving: true,
+        category: true
       }
     });
 
+    const alerts = await checkBudgetAlerts(userId, [transaction.savingId]);
+
     res.json({
       message: 'Transaction updated successfully',
-      transaction
+      transaction,
+      alerts
     });
   } catch (error) {
     console.error('Update transaction error:', error);
@@ -214,25 +830,32 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if transaction belongs to user
-    const existingTransaction = await prisma.transaction.findFirst({
-      where: {
-        id: parseInt(id),
-        userId
-      }
-    });
+    // Check if the user can change the transaction
+    const {
+      transaction: existingTransaction,
+      status,
+      error
+    } = await findAccessibleTransaction(userId, parseInt(id), { write: true });
 
-    if (!existingTransaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Delete transaction
+    const attachmentFiles = await findAttachmentFiles({ id: existingTransaction.id });
+
+    // Delete transaction (attachment rows and a split of the expense go with it via cascade)
     await prisma.transaction.delete({
       where: { id: parseInt(id) }
     });
 
+    await removeAttachmentFiles(attachmentFiles);
+
+    // Deleting income or a refund can push the period over budget too
+    const alerts = await checkBudgetAlerts(userId, [existingTransaction.savingId]);
+
     res.json({
-      message: 'Transaction deleted successfully'
+      message: 'Transaction deleted successfully',
+      alerts
     });
   } catch (error) {
     console.error('Delete transaction error:', error);
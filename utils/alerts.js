@@ -0,0 +1,172 @@
+import { PrismaClient } from '@prisma/client';
+import { getTodayDate } from './dates.js';
+import { summarizePeriod, buildDailyBreakdown, buildCategoryBreakdown } from './budget.js';
+import { moneyFields, formatMoney, subtractMoney } from './money.js';
+import { notify, notificationUserSelect, formatNotification } from './notifications.js';
+import { getAccessRole } from './groups.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Budget alert rules, checked whenever transactions of a period change. A rule gets the
+// evaluated period and returns the alerts that apply right now. The dedupeKey makes sure an
+// alert is sent once per period (or per day), however often the period is checked.
+
+// Days of spending needed before the pace is trusted for a projection
+const MIN_DAYS_FOR_PACE = 3;
+
+export const ALERT_RULES = [
+  {
+    // Part of the spending budget used: the user's threshold, then 100%. Only the highest one reached.
+    type: 'budget_threshold',
+    check: ({ user, saving, summary, money }) => {
+      if (summary.spendingBudget <= 0) return [];
+
+      const usedPercent = (summary.totalSpent / summary.spendingBudget) * 100;
+      const reached = [100, user.budgetAlertPercent].find(percent => usedPercent >= percent);
+      if (!reached) return [];
+
+      return [{
+        dedupeKey: `budget_threshold:${saving.id}:${reached}`,
+        title: reached >= 100 ? 'Budget used up' : `${reached}% of your budget used`,
+        message: `You have spent ${money(summary.totalSpent)} of your ${money(summary.spendingBudget)} budget ` +
+          `(${Math.floor(usedPercent)}%) with ${summary.remainingDays} day(s) left in this period.`,
+        details: {
+          threshold: reached,
+          totalSpent: summary.totalSpent,
+          spendingBudget: summary.spendingBudget,
+          remainingBudget: summary.remainingBudget
+        }
+      }];
+    }
+  },
+  {
+    // Spent more today than today's rolling allowance
+    type: 'daily_allowance_exceeded',
+    check: ({ saving, summary, today, money }) => {
+      if (summary.status !== 'active' || !today || today.spent <= today.allowance) return [];
+
+      return [{
+        dedupeKey: `daily_allowance_exceeded:${saving.id}:${today.date}`,
+        title: 'Daily allowance exceeded',
+        message: `You spent ${money(today.spent)} today, ${money(subtractMoney(today.spent, today.allowance))} ` +
+          `more than today's allowance of ${money(today.allowance)}.`,
+        details: {
+          date: today.date,
+          spent: today.spent,
+          allowance: today.allowance
+        }
+      }];
+    }
+  },
+  {
+    // A category's spending reached its limit for the period
+    type: 'category_limit',
+    check: ({ saving, categories, money }) => categories
+      .filter(row => row.limit !== null && row.categoryId !== null && row.spent >= row.limit)
+      .map(row => ({
+        dedupeKey: `category_limit:${saving.id}:${row.categoryId}`,
+        title: `${row.name} limit reached`,
+        message: `You have spent ${money(row.spent)} on ${row.name}, the limit for this period is ${money(row.limit)}.`,
+        details: {
+          categoryId: row.categoryId,
+          spent: row.spent,
+          limit: row.limit
+        }
+      }))
+  },
+  {
+    // At the current pace the period ends over budget, so the difference comes out of the saving target
+    type: 'saving_target_at_risk',
+    check: ({ saving, summary, money }) => {
+      if (summary.status !== 'active' || summary.elapsedDays < MIN_DAYS_FOR_PACE) return [];
+      if (saving.savingTarget <= 0 || summary.projectedEndBalance >= 0) return [];
+
+      const shortfall = -summary.projectedEndBalance;
+      return [{
+        dedupeKey: `saving_target_at_risk:${saving.id}`,
+        title: 'Saving target at risk',
+        message: `At your current pace you will overspend by ${money(shortfall)} this period, ` +
+          `which would come out of your saving target of ${money(saving.savingTarget)}.`,
+        details: {
+          projectedEndBalance: summary.projectedEndBalance,
+          averageDailySpent: summary.averageDailySpent,
+          savingTarget: saving.savingTarget
+        }
+      }];
+    }
+  }
+];
+
+// Alerts that apply to a period right now. `saving` needs its transactions (with category)
+// and categoryBudgets (with category).
+export const evaluateAlerts = (user, saving, { today = getTodayDate(user.timezone) } = {}) => {
+  const summary = summarizePeriod(saving, saving.transactions, { timeZone: user.timezone, today });
+  const { today: todayEntry } = buildDailyBreakdown(saving, saving.transactions, { timeZone: user.timezone, today });
+  const { categories } = buildCategoryBreakdown(saving.transactions, saving.categoryBudgets);
+  const money = (value) => formatMoney(value, saving.currency, user.locale);
+
+  const context = { user, saving, summary, today: todayEntry, categories, money };
+  return ALERT_RULES.flatMap(rule => rule.check(context).map(alert => ({
+    type: rule.type,
+    savingId: saving.id,
+    ...alert
+  })));
+};
+
+// Check the given periods after their transactions changed and notify about new alerts:
+// the owner of a personal period, every member of a shared one. Ended periods are not checked.
+// Returns the new alerts of the user who made the change. Never throws, so a failing check
+// cannot break the change itself.
+export const checkBudgetAlerts = async (userId, savingIds) => {
+  try {
+    const ids = [...new Set(savingIds.filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: notificationUserSelect
+    });
+    if (!user) return [];
+
+    const savings = await prisma.saving.findMany({
+      where: {
+        id: { in: ids },
+        endDate: { gte: getTodayDate(user.timezone) }
+      },
+      include: {
+        transactions: {
+          include: { category: true }
+        },
+        categoryBudgets: {
+          include: { category: true }
+        },
+        group: {
+          include: {
+            members: {
+              include: { user: { select: notificationUserSelect } }
+            }
+          }
+        }
+      }
+    });
+
+    const created = [];
+    for (const saving of savings) {
+      if (!(await getAccessRole(userId, saving))) continue;
+
+      const recipients = saving.group ? saving.group.members.map(member => member.user) : [user];
+      for (const recipient of recipients) {
+        const today = getTodayDate(recipient.timezone);
+        if (saving.endDate < today) continue;
+
+        const notifications = await notify(recipient, evaluateAlerts(recipient, saving, { today }));
+        if (recipient.id === userId) created.push(...notifications);
+      }
+    }
+
+    return created.map(formatNotification);
+  } catch (error) {
+    console.error('Check budget alerts error:', error);
+    return [];
+  }
+};
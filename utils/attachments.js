@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import path from 'path';
+import multer from 'multer';
+import sharp from 'sharp';
+import { PrismaClient } from '@prisma/client';
+import { getStorage } from './storage.js';
+
+const prisma = new PrismaClient();
+
+// Receipt attachments of transactions: upload limits, type detection, thumbnails and file cleanup
+
+export const MAX_ATTACHMENT_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB || '5') * 1024 * 1024;
+export const MAX_FILES_PER_UPLOAD = 5;
+export const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+const THUMBNAIL_SIZE = 320;
+
+// Allowed types by their magic bytes; the type sent by the client is not trusted
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: '.webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'application/pdf', extension: '.pdf', matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+export const ATTACHMENT_TYPES = FILE_TYPES.map(type => type.mimeType);
+
+const detectFileType = (buffer) => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Each file must be at most ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: `Files must be sent in the "files" field (at most ${MAX_FILES_PER_UPLOAD})`
+};
+
+// Multipart middleware for the "files" field; upload problems become 400 responses
+export const receiveAttachments = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: UPLOAD_ERRORS[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+// Check every uploaded file before anything is stored. Returns { data } or { error }.
+export const validateAttachments = (files, existingCount = 0) => {
+  if (!files?.length) {
+    return { error: 'At least one file is required' };
+  }
+
+  if (existingCount + files.length > MAX_ATTACHMENTS_PER_TRANSACTION) {
+    return { error: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments` };
+  }
+
+  const data = [];
+  for (const file of files) {
+    const type = detectFileType(file.buffer);
+    if (!type) {
+      return { error: `${file.originalname}: file type not allowed (allowed: ${ATTACHMENT_TYPES.join(', ')})` };
+    }
+    data.push({ file, type });
+  }
+
+  return { data };
+};
+
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: 70 })
+  .toBuffer();
+
+// Keep only a safe base name: no paths, no control characters
+const cleanFileName = (name, extension) => {
+  const baseName = path.basename(String(name || '')).replace(/[\u0000-\u001f"\\]/g, '').trim();
+  return (baseName || `receipt${extension}`).slice(0, 191);
+};
+
+// Remove stored files of attachments; a missing or failing file never blocks the caller
+export const removeAttachmentFiles = async (attachments) => {
+  const storage = getStorage();
+  const keys = attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey]).filter(Boolean);
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Remove attachment file error (${key}):`, error);
+  })));
+};
+
+// Store validated files (with thumbnails for images) and create their rows
+export const storeAttachments = async (transaction, files) => {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const { file, type } of files) {
+      const name = crypto.randomUUID();
+      const prefix = `${transaction.userId}/${transaction.id}`;
+      const attachment = {
+        userId: transaction.userId,
+        transactionId: transaction.id,
+        fileName: cleanFileName(file.originalname, type.extension),
+        mimeType: type.mimeType,
+        size: file.size,
+        storageKey: `${prefix}/${name}${type.extension}`,
+        thumbnailKey: null
+      };
+
+      await storage.put(attachment.storageKey, file.buffer, type.mimeType);
+      stored.push(attachment);
+
+      if (type.mimeType.startsWith('image/')) {
+        try {
+          const thumbnailKey = `${prefix}/${name}.thumb.webp`;
+          await storage.put(thumbnailKey, await createThumbnail(file.buffer), 'image/webp');
+          attachment.thumbnailKey = thumbnailKey;
+        } catch (error) {
+          // A damaged image is still kept as a receipt, just without preview
+          console.error('Create thumbnail error:', error);
+        }
+      }
+    }
+
+    return await prisma.$transaction(stored.map(data => prisma.attachment.create({ data })));
+  } catch (error) {
+    await removeAttachmentFiles(stored);
+    throw error;
+  }
+};
+
+// Attachments of the transactions matching `where`; read them before deleting the transactions
+export const findAttachmentFiles = (where) => prisma.attachment.findMany({
+  where: { transaction: where },
+  select: { storageKey: true, thumbnailKey: true }
+});
+
+// Public shape of an attachment: storage keys stay on the server
+export const formatAttachment = (attachment) => {
+  const url = `/api/transactions/${attachment.transactionId}/attachments/${attachment.id}`;
+
+  return {
+    id: attachment.id,
+    transactionId: attachment.transactionId,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    createdAt: attachment.createdAt,
+    url,
+    thumbnailUrl: attachment.thumbnailKey ? `${url}/thumbnail` : null
+  };
+};
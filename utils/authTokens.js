@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './session.js';
+
+const prisma = new PrismaClient();
+
+export const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  EMAIL_CHANGE: 'email_change'
+};
+
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_TYPES.PASSWORD_RESET]: 60,
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60,
+  [TOKEN_TYPES.EMAIL_CHANGE]: 24 * 60
+};
+
+// Mark every unused token of a type as used, so only the newest one works
+export const invalidateAuthTokens = async (userId, type) => {
+  return prisma.authToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+};
+
+// Create a single-use token and return the plain value (only its hash is stored).
+// `email` carries the new address for email change tokens.
+export const createAuthToken = async (userId, type, email = null) => {
+  await invalidateAuthTokens(userId, type);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await prisma.authToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      email,
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+// Consume a token of one of the given types.
+// Returns the token record, or null if it is unknown, used or expired.
+export const consumeAuthToken = async (token, types) => {
+  const allowedTypes = Array.isArray(types) ? types : [types];
+
+  if (typeof token !== 'string' || token === '') return null;
+
+  const record = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!record || !allowedTypes.includes(record.type) || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+
+  // Guard against the same token being used twice at the same time
+  const result = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return result.count === 1 ? record : null;
+};
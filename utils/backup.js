@@ -0,0 +1,574 @@
+import { PrismaClient } from '@prisma/client';
+import { formatISODate, parseISODate } from './dates.js';
+import { PERIOD_TYPES } from './periods.js';
+import { TRANSACTION_TYPES } from './budget.js';
+import { formatCSV } from './csv.js';
+import { parseCurrency } from './currency.js';
+import { moneyFields, roundMoney } from './money.js';
+import { TODO_PRIORITIES, MAX_TODO_DEPTH, MAX_TAGS, MAX_TAG_LENGTH } from './todos.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Export of a user's data (zipped CSV or JSON backup) and restore of JSON backups.
+// Plans and goals are not part of a backup; restored periods are not linked to a plan.
+
+// Bump when the backup document changes; restore accepts this version and older ones.
+// 2: currencies of periods and transactions, exchange rates
+// 3: purchase fields of todos (estimated cost, due date, period, category, booked transaction)
+// 4: priority, position, subtasks and tags of todos
+export const BACKUP_SCHEMA_VERSION = 4;
+
+export const CONFLICT_MODES = ['skip', 'replace'];
+
+const PAGE_SIZE = 1000;
+
+// Transactions can be many, so they are read page by page.
+// Only those of the user's own periods, shared periods belong to their group.
+async function* iterateTransactions(userId) {
+  let cursor = 0;
+  while (true) {
+    const page = await prisma.transaction.findMany({
+      where: { userId, saving: { groupId: null }, id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: PAGE_SIZE,
+      include: { category: { select: { name: true } } }
+    });
+    if (page.length === 0) return;
+
+    yield page;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+// Only personal data: shared periods and todos belong to their group
+const loadSavings = (userId) => prisma.saving.findMany({
+  where: { userId, groupId: null },
+  orderBy: { startDate: 'asc' },
+  include: { categoryBudgets: true }
+});
+
+const loadTodos = (userId) => prisma.todo.findMany({
+  where: { userId, groupId: null },
+  orderBy: { createdAt: 'asc' },
+  include: { tags: { select: { name: true }, orderBy: { name: 'asc' } } }
+});
+
+const savingToBackup = (saving) => ({
+  id: saving.id,
+  period: saving.period,
+  startDate: formatISODate(saving.startDate),
+  endDate: formatISODate(saving.endDate),
+  month: saving.month,
+  year: saving.year,
+  weekNumber: saving.weekNumber,
+  monthlyIncome: saving.monthlyIncome,
+  savingTarget: saving.savingTarget,
+  availableAmount: saving.availableAmount,
+  dailyBudget: saving.dailyBudget,
+  rolloverAmount: saving.rolloverAmount,
+  currency: saving.currency,
+  categoryBudgets: saving.categoryBudgets.map(budget => ({
+    categoryId: budget.categoryId,
+    limit: budget.limit
+  }))
+});
+
+const transactionToBackup = (transaction) => ({
+  id: transaction.id,
+  savingId: transaction.savingId,
+  categoryId: transaction.categoryId,
+  amount: transaction.amount,
+  currency: transaction.currency,
+  originalAmount: transaction.originalAmount,
+  exchangeRate: transaction.exchangeRate,
+  type: transaction.type,
+  description: transaction.description,
+  date: transaction.date.toISOString(),
+  externalId: transaction.externalId,
+  createdAt: transaction.createdAt.toISOString()
+});
+
+const todoToBackup = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  description: todo.description,
+  completed: todo.completed,
+  estimatedCost: todo.estimatedCost,
+  dueDate: todo.dueDate ? formatISODate(todo.dueDate) : null,
+  savingId: todo.savingId,
+  categoryId: todo.categoryId,
+  transactionId: todo.transactionId,
+  priority: TODO_PRIORITIES[todo.priority] ?? 'none',
+  position: todo.position,
+  parentId: todo.parentId,
+  tags: todo.tags.map(tag => tag.name),
+  createdAt: todo.createdAt.toISOString()
+});
+
+// Write the JSON backup document to a stream, transactions page by page
+export const writeJsonBackup = async (user, output) => {
+  const [categories, savings, todos, exchangeRates] = await Promise.all([
+    prisma.category.findMany({ where: { userId: user.id }, orderBy: { id: 'asc' } }),
+    loadSavings(user.id),
+    loadTodos(user.id),
+    prisma.exchangeRate.findMany({ where: { userId: user.id }, orderBy: [{ date: 'asc' }, { id: 'asc' }] })
+  ]);
+
+  const head = {
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: {
+      email: user.email,
+      name: user.name,
+      currency: user.currency,
+      locale: user.locale,
+      timezone: user.timezone,
+      weekStartDay: user.weekStartDay
+    },
+    categories: categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      icon: category.icon,
+      color: category.color,
+      isDefault: category.isDefault
+    })),
+    savings: savings.map(savingToBackup),
+    exchangeRates: exchangeRates.map(rate => ({
+      date: formatISODate(rate.date),
+      currency: rate.currency,
+      baseCurrency: rate.baseCurrency,
+      rate: rate.rate,
+      source: rate.source
+    })),
+    todos: todos.map(todoToBackup)
+  };
+
+  // Everything but the closing brace, then the transactions array
+  output.write(JSON.stringify(head).slice(0, -1) + ',"transactions":[');
+
+  let first = true;
+  for await (const page of iterateTransactions(user.id)) {
+    const items = page.map(transaction => JSON.stringify(transactionToBackup(transaction)));
+    output.write((first ? '' : ',') + items.join(','));
+    first = false;
+  }
+
+  output.end(']}');
+};
+
+// One CSV file per entity, added to a zip writer
+export const writeCsvExport = async (user, zip) => {
+  const [savings, todos] = await Promise.all([loadSavings(user.id), loadTodos(user.id)]);
+
+  zip.addFile('savings.csv', formatCSV(
+    ['id', 'period', 'startDate', 'endDate', 'currency', 'monthlyIncome', 'savingTarget', 'availableAmount', 'dailyBudget', 'rolloverAmount'],
+    savings.map(savingToBackup)
+  ));
+
+  const transactionColumns = ['id', 'savingId', 'date', 'type', 'amount', 'currency', 'originalAmount', 'exchangeRate', 'category', 'description'];
+  const chunks = [];
+  for await (const page of iterateTransactions(user.id)) {
+    const csv = formatCSV(transactionColumns, page.map(transaction => ({
+      ...transactionToBackup(transaction),
+      category: transaction.category?.name ?? ''
+    })));
+    // Only the first page keeps the header row
+    chunks.push(chunks.length === 0 ? csv : csv.slice(csv.indexOf('\r\n') + 2));
+  }
+  zip.addFile('transactions.csv', chunks.length > 0 ? chunks.join('') : formatCSV(transactionColumns, []));
+
+  zip.addFile('todos.csv', formatCSV(
+    ['id', 'parentId', 'title', 'description', 'completed', 'priority', 'tags', 'estimatedCost', 'dueDate', 'savingId', 'createdAt'],
+    todos.map(todo => ({ ...todoToBackup(todo), tags: todo.tags.map(tag => tag.name).join(', ') }))
+  ));
+
+  zip.finish();
+};
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const parseTimestamp = (value) => {
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date.getTime()) ? date : null;
+};
+
+// Check the whole document before anything is written, returns { data } or { error }
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object') {
+    return { error: 'Backup must be a JSON object' };
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    return { error: 'Backup has no schema version' };
+  }
+  if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    return { error: `Backup schema version ${backup.schemaVersion} is newer than supported (${BACKUP_SCHEMA_VERSION})` };
+  }
+
+  const { categories = [], savings = [], transactions = [], todos = [], exchangeRates = [] } = backup;
+  if (![categories, savings, transactions, todos, exchangeRates].every(Array.isArray)) {
+    return { error: 'categories, savings, transactions, todos and exchangeRates must be arrays' };
+  }
+
+  for (const [index, category] of categories.entries()) {
+    if (!category?.id || !category.name) {
+      return { error: `categories[${index}]: id and name are required` };
+    }
+  }
+
+  const savingIds = new Set();
+  const data = { categories, savings: [], transactions: [], todos: [], exchangeRates: [] };
+
+  // Before version 2 every period was in the currency of its user
+  const userCurrency = parseCurrency(backup.user?.currency);
+
+  for (const [index, saving] of savings.entries()) {
+    const startDate = parseISODate(saving?.startDate);
+    const endDate = parseISODate(saving?.endDate);
+
+    if (!saving?.id || !PERIOD_TYPES.includes(saving.period)) {
+      return { error: `savings[${index}]: id and a valid period are required` };
+    }
+    if (!startDate || !endDate || endDate < startDate) {
+      return { error: `savings[${index}]: startDate and endDate must be valid YYYY-MM-DD dates` };
+    }
+    if (!['monthlyIncome', 'savingTarget', 'availableAmount', 'dailyBudget'].every(key => isNumber(saving[key]))) {
+      return { error: `savings[${index}]: amounts must be numbers` };
+    }
+    const currency = saving.currency !== undefined ? parseCurrency(saving.currency) : userCurrency;
+    if (saving.currency !== undefined && !currency) {
+      return { error: `savings[${index}]: currency must be a 3-letter ISO code` };
+    }
+
+    savingIds.add(saving.id);
+    data.savings.push({ ...saving, startDate, endDate, currency, categoryBudgets: saving.categoryBudgets || [] });
+  }
+
+  for (const [index, transaction] of transactions.entries()) {
+    const date = parseTimestamp(transaction?.date);
+
+    if (!savingIds.has(transaction?.savingId)) {
+      return { error: `transactions[${index}]: savingId does not match a saving in the backup` };
+    }
+    if (!isNumber(transaction.amount) || transaction.amount <= 0 || !TRANSACTION_TYPES.includes(transaction.type)) {
+      return { error: `transactions[${index}]: amount must be positive and type one of ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    if (!date) {
+      return { error: `transactions[${index}]: date is invalid` };
+    }
+
+    // Foreign transactions keep their original amount and rate
+    const currency = transaction.currency ? parseCurrency(transaction.currency) : null;
+    if (transaction.currency && (!currency || !isNumber(transaction.originalAmount) || !isNumber(transaction.exchangeRate))) {
+      return { error: `transactions[${index}]: currency needs a 3-letter ISO code, originalAmount and exchangeRate` };
+    }
+
+    data.transactions.push({ ...transaction, date, currency });
+  }
+
+  for (const [index, rate] of exchangeRates.entries()) {
+    const date = parseISODate(rate?.date);
+    const currency = parseCurrency(rate?.currency);
+    const baseCurrency = parseCurrency(rate?.baseCurrency);
+
+    if (!date || !currency || !baseCurrency || currency === baseCurrency || !isNumber(rate.rate) || rate.rate <= 0) {
+      return { error: `exchangeRates[${index}]: date, two different currencies and a positive rate are required` };
+    }
+
+    data.exchangeRates.push({ date, currency, baseCurrency, rate: rate.rate, source: rate.source === 'import' ? 'import' : 'manual' });
+  }
+
+  // Backup todo ID -> ID of its parent, to check subtasks point to a todo and do not nest too deep
+  const todoParents = new Map(todos.map(todo => [todo?.id, todo?.parentId ?? null]));
+
+  for (const [index, todo] of todos.entries()) {
+    if (!todo?.title) {
+      return { error: `todos[${index}]: title is required` };
+    }
+    if (todo.estimatedCost != null && (!isNumber(todo.estimatedCost) || todo.estimatedCost < 0)) {
+      return { error: `todos[${index}]: estimatedCost must be a number of 0 or more` };
+    }
+    const dueDate = todo.dueDate != null ? parseISODate(todo.dueDate) : null;
+    if (todo.dueDate != null && !dueDate) {
+      return { error: `todos[${index}]: dueDate must be a valid YYYY-MM-DD date` };
+    }
+
+    // Before version 4 todos had no priority, order, subtasks or tags
+    const priority = todo.priority ?? 'none';
+    if (!TODO_PRIORITIES.includes(priority)) {
+      return { error: `todos[${index}]: priority must be one of ${TODO_PRIORITIES.join(', ')}` };
+    }
+    if (todo.position != null && (!Number.isInteger(todo.position) || todo.position < 0)) {
+      return { error: `todos[${index}]: position must be a whole number of 0 or more` };
+    }
+
+    let depth = 1;
+    for (let parentId = todo.parentId; parentId != null; parentId = todoParents.get(parentId)) {
+      if (!todoParents.has(parentId) || ++depth > MAX_TODO_DEPTH) {
+        return { error: `todos[${index}]: parentId must match a todo in the backup, nested at most ${MAX_TODO_DEPTH} levels` };
+      }
+    }
+
+    const tags = todo.tags ?? [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: `todos[${index}]: tags must be a list of names` };
+    }
+    const tagNames = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (tagNames.length > MAX_TAGS || tagNames.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `todos[${index}]: at most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters` };
+    }
+
+    data.todos.push({
+      ...todo,
+      dueDate,
+      priority: TODO_PRIORITIES.indexOf(priority),
+      position: todo.position ?? 0,
+      parentId: todo.parentId ?? null,
+      tags: tagNames,
+      createdAt: parseTimestamp(todo.createdAt) || new Date()
+    });
+  }
+
+  return { data };
+};
+
+const transactionKey = (transaction) =>
+  [transaction.savingId, transaction.date.toISOString(), roundMoney(transaction.amount), transaction.type, transaction.description || ''].join('|');
+
+// Restore a validated backup into the user's account in one database transaction.
+// Periods that already exist (same type, overlapping dates) are conflicts: "skip" keeps
+// the existing amounts, "replace" overwrites them. Data already present is never duplicated.
+export const restoreBackup = async (userId, backup, { conflict = 'skip' } = {}) => {
+  const result = {
+    categories: { created: 0, existing: 0 },
+    savings: { created: 0, updated: 0, conflicts: [] },
+    exchangeRates: { restored: 0 },
+    transactions: { created: 0, skipped: 0 },
+    todos: { created: 0, skipped: 0 }
+  };
+
+  await prisma.$transaction(async (prisma) => {
+    // Categories are matched by name
+    const categoryIds = new Map();
+    const existingCategories = await prisma.category.findMany({ where: { userId } });
+    const categoriesByName = new Map(existingCategories.map(category => [category.name, category.id]));
+
+    for (const category of backup.categories) {
+      const name = String(category.name).trim().toLowerCase();
+      let id = categoriesByName.get(name);
+
+      if (id) {
+        result.categories.existing++;
+      } else {
+        id = (await prisma.category.create({
+          data: { userId, name, icon: category.icon || null, color: category.color || null, isDefault: Boolean(category.isDefault) }
+        })).id;
+        categoriesByName.set(name, id);
+        result.categories.created++;
+      }
+      categoryIds.set(category.id, id);
+    }
+
+    // Savings are matched by period type and dates
+    const savingIds = new Map();
+    const existingSavings = await prisma.saving.findMany({ where: { userId, groupId: null } });
+
+    for (const saving of backup.savings) {
+      const amounts = {
+        monthlyIncome: roundMoney(saving.monthlyIncome),
+        savingTarget: roundMoney(saving.savingTarget),
+        availableAmount: roundMoney(saving.availableAmount),
+        dailyBudget: roundMoney(saving.dailyBudget),
+        rolloverAmount: isNumber(saving.rolloverAmount) ? roundMoney(saving.rolloverAmount) : 0
+      };
+
+      const existing = existingSavings.find(candidate =>
+        candidate.period === saving.period &&
+        candidate.startDate <= saving.endDate &&
+        candidate.endDate >= saving.startDate
+      );
+
+      let id;
+      if (existing) {
+        const sameDates = existing.startDate.getTime() === saving.startDate.getTime() &&
+          existing.endDate.getTime() === saving.endDate.getTime();
+
+        result.savings.conflicts.push({
+          backupId: saving.id,
+          savingId: existing.id,
+          startDate: formatISODate(saving.startDate),
+          resolution: conflict === 'replace' && sameDates ? 'replaced' : 'kept_existing'
+        });
+
+        if (conflict === 'replace' && sameDates) {
+          await prisma.saving.update({ where: { id: existing.id }, data: amounts });
+          result.savings.updated++;
+        }
+        id = existing.id;
+      } else {
+        const created = await prisma.saving.create({
+          data: {
+            userId,
+            period: saving.period,
+            startDate: saving.startDate,
+            endDate: saving.endDate,
+            month: saving.month ?? saving.startDate.getUTCMonth() + 1,
+            year: saving.year ?? saving.startDate.getUTCFullYear(),
+            weekNumber: saving.weekNumber ?? null,
+            ...(saving.currency && { currency: saving.currency }),
+            ...amounts
+          }
+        });
+        existingSavings.push(created);
+        result.savings.created++;
+        id = created.id;
+      }
+      savingIds.set(saving.id, id);
+
+      for (const budget of saving.categoryBudgets) {
+        const categoryId = categoryIds.get(budget.categoryId);
+        if (!categoryId || !isNumber(budget.limit)) continue;
+
+        await prisma.categoryBudget.upsert({
+          where: { savingId_categoryId: { savingId: id, categoryId } },
+          update: conflict === 'replace' ? { limit: roundMoney(budget.limit) } : {},
+          create: { savingId: id, categoryId, limit: roundMoney(budget.limit) }
+        });
+      }
+    }
+
+    // Rates of the same pair and date are conflicts like periods
+    for (const rate of backup.exchangeRates) {
+      const { date, currency, baseCurrency } = rate;
+      await prisma.exchangeRate.upsert({
+        where: { userId_currency_baseCurrency_date: { userId, currency, baseCurrency, date } },
+        update: conflict === 'replace' ? { rate: rate.rate, source: rate.source } : {},
+        create: { userId, ...rate }
+      });
+      result.exchangeRates.restored++;
+    }
+
+    // Transactions already in the account (same period, time, amount, type and description) are skipped
+    const existingTransactions = await prisma.transaction.findMany({
+      where: { userId, savingId: { in: [...new Set(savingIds.values())] } },
+      select: { savingId: true, date: true, amount: true, type: true, description: true }
+    });
+    const existingKeys = new Set(existingTransactions.map(transactionKey));
+    const existingExternalIds = new Set((await prisma.transaction.findMany({
+      where: { userId, externalId: { not: null } },
+      select: { externalId: true }
+    })).map(transaction => transaction.externalId));
+
+    // Backup transaction ID -> key, to find the transactions todos booked once they are restored
+    const backupTransactionKeys = new Map();
+    const newTransactions = [];
+    for (const transaction of backup.transactions) {
+      const data = {
+        userId,
+        savingId: savingIds.get(transaction.savingId),
+        categoryId: categoryIds.get(transaction.categoryId) ?? null,
+        amount: roundMoney(transaction.amount),
+        currency: transaction.currency,
+        originalAmount: transaction.currency ? roundMoney(transaction.originalAmount) : null,
+        exchangeRate: transaction.currency ? transaction.exchangeRate : null,
+        type: transaction.type,
+        description: transaction.description || '',
+        date: transaction.date,
+        externalId: transaction.externalId || null
+      };
+
+      const key = transactionKey(data);
+      backupTransactionKeys.set(transaction.id, key);
+      if (existingKeys.has(key) || (data.externalId && existingExternalIds.has(data.externalId))) {
+        result.transactions.skipped++;
+        continue;
+      }
+
+      existingKeys.add(key);
+      if (data.externalId) existingExternalIds.add(data.externalId);
+      newTransactions.push(data);
+    }
+
+    for (let i = 0; i < newTransactions.length; i += PAGE_SIZE) {
+      const { count } = await prisma.transaction.createMany({ data: newTransactions.slice(i, i + PAGE_SIZE) });
+      result.transactions.created += count;
+    }
+
+    const transactionIds = new Map();
+    if (backup.todos.some(todo => todo.transactionId)) {
+      const restoredTransactions = await prisma.transaction.findMany({
+        where: { userId, savingId: { in: [...new Set(savingIds.values())] } },
+        select: { id: true, savingId: true, date: true, amount: true, type: true, description: true }
+      });
+      const idsByKey = new Map(restoredTransactions.map(transaction => [transactionKey(transaction), transaction.id]));
+      for (const [backupId, key] of backupTransactionKeys) {
+        if (idsByKey.has(key)) transactionIds.set(backupId, idsByKey.get(key));
+      }
+    }
+
+    // A transaction is booked by one todo at most
+    const bookedTransactionIds = new Set((await prisma.todo.findMany({
+      where: { transactionId: { in: [...transactionIds.values()] } },
+      select: { transactionId: true }
+    })).map(todo => todo.transactionId));
+
+    const bookedTransactionId = (todo) => {
+      const id = transactionIds.get(todo.transactionId);
+      if (!id || bookedTransactionIds.has(id)) return null;
+      bookedTransactionIds.add(id);
+      return id;
+    };
+
+    // Todos are matched by title and creation time
+    const existingTodos = await prisma.todo.findMany({
+      where: { userId, groupId: null },
+      select: { id: true, title: true, createdAt: true }
+    });
+    const todosByKey = new Map(existingTodos.map(todo => [`${todo.title}|${todo.createdAt.toISOString()}`, todo.id]));
+
+    // Backup todo ID -> ID in the account; subtasks are linked once all todos exist
+    const todoIds = new Map();
+    const newSubtasks = [];
+
+    for (const todo of backup.todos) {
+      const key = `${todo.title}|${todo.createdAt.toISOString()}`;
+      if (todosByKey.has(key)) {
+        todoIds.set(todo.id, todosByKey.get(key));
+        result.todos.skipped++;
+        continue;
+      }
+
+      const created = await prisma.todo.create({
+        data: {
+          userId,
+          title: String(todo.title),
+          description: todo.description || '',
+          completed: Boolean(todo.completed),
+          estimatedCost: todo.estimatedCost != null ? roundMoney(todo.estimatedCost) : null,
+          dueDate: todo.dueDate,
+          savingId: savingIds.get(todo.savingId) ?? null,
+          categoryId: categoryIds.get(todo.categoryId) ?? null,
+          transactionId: bookedTransactionId(todo),
+          priority: todo.priority,
+          position: todo.position,
+          createdAt: todo.createdAt,
+          tags: {
+            connectOrCreate: todo.tags.map(name => ({
+              where: { userId_name: { userId, name } },
+              create: { userId, name }
+            }))
+          }
+        }
+      });
+      todosByKey.set(key, created.id);
+      todoIds.set(todo.id, created.id);
+      if (todo.parentId) newSubtasks.push({ id: created.id, parentId: todo.parentId });
+      result.todos.created++;
+    }
+
+    for (const subtask of newSubtasks) {
+      await prisma.todo.update({ where: { id: subtask.id }, data: { parentId: todoIds.get(subtask.parentId) } });
+    }
+  }, { timeout: 60000 });
+
+  return result;
+};
@@ -0,0 +1,305 @@
+import { addDays, diffInDays, formatISODate, getLocalDate, getTodayDate } from './dates.js';
+import { getPeriodDays } from './periods.js';
+import { toCents, fromCents, sumMoney, subtractMoney, multiplyMoney, divideMoney } from './money.js';
+
+// Budget math shared by the savings and transactions routes
+// expense: spending, refund: money back from an expense,
+// income: extra income that raises the budget, saving: deposit into savings out of the budget
+export const TRANSACTION_TYPES = ['expense', 'income', 'saving', 'refund'];
+
+// Net spending of a transaction (amounts are always stored positive)
+export const getSpentAmount = (transaction) => {
+  if (transaction.type === 'refund') return -transaction.amount;
+  if (transaction.type === 'expense') return transaction.amount;
+  return 0;
+};
+
+// How much a transaction takes out of the period's budget (negative: adds to it)
+export const getBudgetImpact = (transaction) => {
+  if (transaction.type === 'income' || transaction.type === 'refund') return -transaction.amount;
+  return transaction.amount;
+};
+
+export const getTotalSpent = (transactions) => sumMoney(transactions.map(getSpentAmount));
+
+const sumOfType = (transactions, type) => sumMoney(transactions
+  .filter(transaction => transaction.type === type)
+  .map(transaction => transaction.amount));
+
+export const getTransactionTotals = (transactions) => ({
+  totalSpent: getTotalSpent(transactions),
+  totalExpenses: sumOfType(transactions, 'expense'),
+  totalRefunded: sumOfType(transactions, 'refund'),
+  totalIncome: sumOfType(transactions, 'income'),
+  totalSaved: sumOfType(transactions, 'saving')
+});
+
+// What is left of a period's budget after every transaction type
+export const getRemainingBudget = (saving, transactions) =>
+  subtractMoney(saving.availableAmount, ...transactions.map(getBudgetImpact));
+
+// Rolling daily budget: every day's allowance is (remaining budget) / (remaining days),
+// so a surplus or deficit is spread over the rest of the period. Computed in cents.
+export const buildDailyBreakdown = (saving, transactions, { timeZone, today = getTodayDate(timeZone) } = {}) => {
+  const totalDays = getPeriodDays(saving);
+  const available = toCents(saving.availableAmount);
+  const plannedDaily = available / totalDays;
+
+  // Spending and budget changes (income, deposits) per day index, in the user's timezone.
+  // Out of range dates go to the nearest end of the period.
+  const spentPerDay = new Array(totalDays).fill(0);
+  const adjustmentPerDay = new Array(totalDays).fill(0);
+  for (const transaction of transactions) {
+    const index = diffInDays(saving.startDate, getLocalDate(new Date(transaction.date), timeZone));
+    const clamped = Math.min(Math.max(index, 0), totalDays - 1);
+    const spent = toCents(getSpentAmount(transaction));
+    spentPerDay[clamped] += spent;
+    adjustmentPerDay[clamped] += spent - toCents(getBudgetImpact(transaction));
+  }
+
+  const days = [];
+  let spentBefore = 0;
+  let adjustments = 0;
+
+  for (let index = 0; index < totalDays; index++) {
+    const date = addDays(saving.startDate, index);
+    const remainingDays = totalDays - index;
+
+    // Income received (or money put aside) today already counts for today's allowance
+    adjustments += adjustmentPerDay[index];
+    const remainingBudget = available + adjustments - spentBefore;
+    const allowance = Math.round(remainingBudget / remainingDays);
+    const spent = spentPerDay[index];
+
+    days.push({
+      date: formatISODate(date),
+      day: index + 1,
+      allowance: fromCents(allowance),
+      spent: fromCents(spent),
+      difference: fromCents(allowance - spent),
+      // Surplus (+) or deficit (-) carried in from previous days compared to the plan
+      carriedOver: fromCents(remainingBudget - plannedDaily * remainingDays),
+      remainingBudget: fromCents(remainingBudget),
+      isToday: date.getTime() === today.getTime(),
+      isFuture: date > today
+    });
+
+    // From today on, assume the rest of each day's allowance will still be used
+    spentBefore += date >= today ? Math.max(spent, allowance) : spent;
+  }
+
+  return {
+    plannedDaily: fromCents(plannedDaily),
+    days,
+    today: days.find(day => day.isToday) || null
+  };
+};
+
+// Number of days of the period that have passed by `date` (the day itself included)
+export const getElapsedDays = (saving, date) => {
+  const totalDays = getPeriodDays(saving);
+  const elapsed = diffInDays(saving.startDate, date) + 1;
+  return Math.min(Math.max(elapsed, 0), totalDays);
+};
+
+// Budget left for spending: planned amount plus extra income minus deposits to savings
+export const getSpendingBudget = (saving, transactions) => {
+  const { totalIncome, totalSaved } = getTransactionTotals(transactions);
+  return subtractMoney(sumMoney([saving.availableAmount, totalIncome]), totalSaved);
+};
+
+// Budget that should have been spent after `elapsedDays` if spending follows the plan
+export const getExpectedSpent = (saving, elapsedDays, budget = saving.availableAmount) =>
+  multiplyMoney(budget, elapsedDays / getPeriodDays(saving));
+
+export const getPeriodStatus = (saving, today) => {
+  if (today < saving.startDate) return 'upcoming';
+  if (today > saving.endDate) return 'ended';
+  return 'active';
+};
+
+// Transactions paid in another currency, per currency: original and converted totals
+const summarizeForeignCurrencies = (transactions) => {
+  const byCurrency = new Map();
+  for (const transaction of transactions) {
+    if (!transaction.currency) continue;
+
+    const entry = byCurrency.get(transaction.currency) || {
+      currency: transaction.currency,
+      originalAmount: 0,
+      convertedAmount: 0,
+      transactionCount: 0
+    };
+    entry.originalAmount = sumMoney([entry.originalAmount, transaction.originalAmount]);
+    entry.convertedAmount = sumMoney([entry.convertedAmount, transaction.amount]);
+    entry.transactionCount++;
+    byCurrency.set(transaction.currency, entry);
+  }
+  return [...byCurrency.values()];
+};
+
+// Full time-relative summary of a period, evaluated in the user's timezone.
+// `upcoming` are recurring transactions still to be booked in this period (committed money),
+// `planned` open todos with an estimated cost (planned purchases, see utils/todos.js).
+export const summarizePeriod = (saving, transactions, { timeZone, today = getTodayDate(timeZone), upcoming = [], planned = [] } = {}) => {
+  const totals = getTransactionTotals(transactions);
+  const { totalSpent } = totals;
+  const budget = getSpendingBudget(saving, transactions);
+  const remainingBudget = subtractMoney(budget, totalSpent);
+  const totalDays = getPeriodDays(saving);
+  const elapsedDays = getElapsedDays(saving, today);
+  const expectedSpent = getExpectedSpent(saving, elapsedDays, budget);
+  const status = getPeriodStatus(saving, today);
+
+  // pace > 1 means spending faster than planned
+  const pace = expectedSpent > 0 ? totalSpent / expectedSpent : null;
+
+  // Keep spending at the current average until the end of the period
+  const averageDailySpent = divideMoney(totalSpent, elapsedDays);
+  const projectedEndBalance = status === 'ended'
+    ? remainingBudget
+    : subtractMoney(remainingBudget, multiplyMoney(averageDailySpent, totalDays - elapsedDays));
+
+  const { today: todayEntry, days } = buildDailyBreakdown(saving, transactions, { timeZone, today });
+  let todayAllowance = null;
+  let carriedOver = null;
+  if (status === 'active') {
+    todayAllowance = todayEntry.allowance;
+    carriedOver = todayEntry.carriedOver;
+  }
+  if (status === 'upcoming') todayAllowance = days[0].allowance;
+
+  const committedAmount = sumMoney(upcoming.map(getBudgetImpact));
+  const uncommittedBudget = subtractMoney(remainingBudget, committedAmount);
+  const plannedAmount = sumMoney(planned.map(todo => todo.estimatedCost));
+
+  return {
+    status,
+    currency: saving.currency,
+    ...totals,
+    foreignCurrencies: summarizeForeignCurrencies(transactions),
+    spendingBudget: budget,
+    remainingBudget,
+    committedAmount,
+    uncommittedBudget,
+    upcoming: upcoming.map(occurrence => ({
+      recurringId: occurrence.recurringId,
+      date: formatISODate(occurrence.date),
+      amount: occurrence.amount,
+      type: occurrence.type,
+      description: occurrence.description
+    })),
+    // Open todos with an estimated cost: planned but not yet spent
+    plannedAmount,
+    unplannedBudget: subtractMoney(uncommittedBudget, plannedAmount),
+    planned: planned.map(todo => ({
+      todoId: todo.id,
+      title: todo.title,
+      estimatedCost: todo.estimatedCost,
+      dueDate: todo.dueDate ? formatISODate(todo.dueDate) : null
+    })),
+    totalDays,
+    elapsedDays,
+    remainingDays: totalDays - elapsedDays,
+    expectedSpent,
+    difference: subtractMoney(expectedSpent, totalSpent),
+    pace,
+    averageDailySpent,
+    projectedEndBalance,
+    todayAllowance,
+    carriedOver,
+    transactionCount: transactions.length
+  };
+};
+
+// Spending per category compared with the period's category limits.
+// Only expenses and refunds count, income and deposits are not spending.
+export const buildCategoryBreakdown = (transactions, categoryBudgets = []) => {
+  const rows = new Map();
+
+  const rowFor = (category) => {
+    const key = category ? category.id : null;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        categoryId: key,
+        name: category ? category.name : 'uncategorized',
+        icon: category?.icon || null,
+        color: category?.color || null,
+        spent: 0,
+        transactionCount: 0,
+        limit: null
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const budget of categoryBudgets) {
+    rowFor(budget.category).limit = budget.limit;
+  }
+
+  for (const transaction of transactions) {
+    if (transaction.type !== 'expense' && transaction.type !== 'refund') continue;
+
+    const row = rowFor(transaction.category);
+    row.spent = sumMoney([row.spent, getSpentAmount(transaction)]);
+    row.transactionCount += 1;
+  }
+
+  const categories = [...rows.values()]
+    .map(row => ({
+      ...row,
+      remaining: row.limit !== null ? subtractMoney(row.limit, row.spent) : null,
+      percentUsed: row.limit ? row.spent / row.limit : null,
+      overLimit: row.limit !== null && row.spent > row.limit
+    }))
+    .sort((a, b) => b.spent - a.spent);
+
+  const warnings = categories
+    .filter(row => row.overLimit)
+    .map(row => ({
+      type: 'category_over_limit',
+      categoryId: row.categoryId,
+      message: `Spending on ${row.name} is over its limit by ${subtractMoney(row.spent, row.limit)}`
+    }));
+
+  return { categories, warnings };
+};
+
+// Per-member totals of a shared period: what each member spent, added as income and put into savings.
+// `members` are { userId, name, role }; people who left the group keep their rows without a name.
+export const buildMemberBreakdown = (transactions, members = []) => {
+  const rows = new Map();
+
+  const rowFor = (userId, member = null) => {
+    if (!rows.has(userId)) {
+      rows.set(userId, {
+        userId,
+        name: member?.name ?? null,
+        role: member?.role ?? null,
+        spent: 0,
+        contributed: 0,
+        saved: 0,
+        transactionCount: 0
+      });
+    }
+    return rows.get(userId);
+  };
+
+  for (const member of members) {
+    rowFor(member.userId, member);
+  }
+
+  for (const transaction of transactions) {
+    const row = rowFor(transaction.userId);
+    row.spent = sumMoney([row.spent, getSpentAmount(transaction)]);
+    if (transaction.type === 'income') row.contributed = sumMoney([row.contributed, transaction.amount]);
+    if (transaction.type === 'saving') row.saved = sumMoney([row.saved, transaction.amount]);
+    row.transactionCount += 1;
+  }
+
+  const totalSpent = getTotalSpent(transactions);
+  return [...rows.values()].map(row => ({
+    ...row,
+    shareOfSpending: totalSpent > 0 ? row.spent / totalSpent : null
+  }));
+};
@@ -0,0 +1,34 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Starter set every user gets, they can be renamed or deleted afterwards
+export const DEFAULT_CATEGORIES = [
+  { name: 'makan', icon: '🍚', color: '#F97316' },
+  { name: 'transport', icon: '🚌', color: '#3B82F6' },
+  { name: 'jajan', icon: '🍩', color: '#EC4899' },
+  { name: 'pulsa', icon: '📱', color: '#8B5CF6' },
+  { name: 'belanja', icon: '🛒', color: '#10B981' },
+  { name: 'hiburan', icon: '🎮', color: '#EAB308' },
+  { name: 'kesehatan', icon: '💊', color: '#EF4444' },
+  { name: 'lainnya', icon: '📦', color: '#6B7280' }
+];
+
+export const COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+
+export const seedDefaultCategories = async (userId) => {
+  return prisma.category.createMany({
+    data: DEFAULT_CATEGORIES.map(category => ({ ...category, userId, isDefault: true })),
+    skipDuplicates: true
+  });
+};
+
+// Returns the category if it belongs to the user, null otherwise
+export const findUserCategory = async (userId, categoryId) => {
+  return prisma.category.findFirst({
+    where: {
+      id: parseInt(categoryId),
+      userId
+    }
+  });
+};
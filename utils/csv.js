@@ -0,0 +1,71 @@
+// CSV reading and writing for statement imports and data export
+
+// RFC 4180 CSV: quoted fields may contain the delimiter, quotes ("") and line breaks
+export const parseCSV = (text, delimiter) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  // Guess the delimiter from the header line (Indonesian Excel exports use ";")
+  if (!delimiter) {
+    const header = content.split(/\r?\n/, 1)[0];
+    delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      header.split(candidate).length > header.split(best).length ? candidate : best
+    );
+  }
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Quote a value when it contains the delimiter, quotes or line breaks.
+// Text that spreadsheets would run as a formula gets a leading quote; numbers stay as they are.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text with a header row; `columns` are the keys of each row object
+export const formatCSV = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
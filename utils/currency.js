@@ -0,0 +1,149 @@
+import { PrismaClient } from '@prisma/client';
+import { getLocalDate } from './dates.js';
+import { moneyFields, multiplyMoney } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Currencies and exchange rates. Transaction amounts are stored in the currency of their
+// saving period; a transaction made in another currency keeps its original amount and the rate used.
+
+export const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+// Upper-cased ISO 4217 code, or null when the value is not one
+export const parseCurrency = (value) => {
+  if (typeof value !== 'string') return null;
+  const currency = value.trim().toUpperCase();
+  return CURRENCY_REGEX.test(currency) ? currency : null;
+};
+
+// Rate lookups over preloaded rates, sorted by date. A rate is valid from its date until
+// the next one; when only the opposite pair is known, its inverse is used.
+export const createRateLookup = (rates) => {
+  const pairs = new Map();
+  for (const rate of [...rates].sort((a, b) => a.date - b.date)) {
+    const key = `${rate.currency}/${rate.baseCurrency}`;
+    pairs.set(key, [...(pairs.get(key) || []), rate]);
+  }
+
+  const latest = (currency, baseCurrency, date) => {
+    const candidates = pairs.get(`${currency}/${baseCurrency}`) || [];
+    let found = null;
+    for (const rate of candidates) {
+      if (rate.date > date) break;
+      found = rate;
+    }
+    return found;
+  };
+
+  // `date` is a calendar date (UTC midnight)
+  const getRate = (currency, baseCurrency, date) => {
+    if (currency === baseCurrency) return { rate: 1, date };
+
+    const direct = latest(currency, baseCurrency, date);
+    if (direct) return { rate: direct.rate, date: direct.date };
+
+    const inverse = latest(baseCurrency, currency, date);
+    if (inverse) return { rate: 1 / inverse.rate, date: inverse.date };
+
+    return null;
+  };
+
+  return {
+    getRate,
+    convert: (amount, currency, baseCurrency, date) => {
+      const found = getRate(currency, baseCurrency, date);
+      return found ? { amount: multiplyMoney(amount, found.rate), rate: found.rate } : null;
+    }
+  };
+};
+
+// Load the user's rates between the given currencies (both directions)
+export const loadRateLookup = async (userId, currencies) => {
+  const codes = [...new Set(currencies.filter(Boolean))];
+  if (codes.length < 2) return createRateLookup([]);
+
+  const rates = await prisma.exchangeRate.findMany({
+    where: {
+      userId,
+      currency: { in: codes },
+      baseCurrency: { in: codes }
+    },
+    select: { currency: true, baseCurrency: true, date: true, rate: true }
+  });
+
+  return createRateLookup(rates);
+};
+
+const missingRateError = (currency, baseCurrency, date) =>
+  `No exchange rate from ${currency} to ${baseCurrency} on or before ${date.toISOString().slice(0, 10)}`;
+
+// Amount fields of a transaction entered as `amount` in `currency` (default: the period's currency)
+// on the calendar date `date`. Returns { data: { amount, currency, originalAmount, exchangeRate } } or { error }.
+export const convertTransactionAmount = (lookup, { amount, currency, saving, date }) => {
+  if (!currency || currency === saving.currency) {
+    return { data: { amount, currency: null, originalAmount: null, exchangeRate: null } };
+  }
+
+  const converted = lookup.convert(amount, currency, saving.currency, date);
+  if (!converted) {
+    return { error: missingRateError(currency, saving.currency, date) };
+  }
+
+  return {
+    data: {
+      amount: converted.amount,
+      currency,
+      originalAmount: amount,
+      exchangeRate: converted.rate
+    }
+  };
+};
+
+// Convert foreign transactions again after rates of these currencies changed from `fromDate` on.
+// Transactions without a usable rate keep their previous conversion, and so do split expenses
+// (their shares were computed from the amount).
+export const reconvertTransactions = async (userId, currencies, fromDate, timeZone) => {
+  const transactions = await prisma.transaction.findMany({
+    where: {
+      userId,
+      currency: { not: null },
+      originalAmount: { not: null },
+      split: null,
+      date: { gte: new Date(fromDate.getTime() - 24 * 60 * 60 * 1000) },
+      OR: [
+        { currency: { in: currencies } },
+        { saving: { currency: { in: currencies } } }
+      ]
+    },
+    include: {
+      saving: {
+        select: { currency: true }
+      }
+    }
+  });
+
+  const lookup = await loadRateLookup(userId, [
+    ...transactions.map(transaction => transaction.currency),
+    ...transactions.map(transaction => transaction.saving.currency)
+  ]);
+
+  let updated = 0;
+  for (const transaction of transactions) {
+    const { data } = convertTransactionAmount(lookup, {
+      amount: transaction.originalAmount,
+      currency: transaction.currency,
+      saving: transaction.saving,
+      date: getLocalDate(transaction.date, timeZone)
+    });
+
+    if (!data || (data.amount === transaction.amount && data.exchangeRate === transaction.exchangeRate)) continue;
+
+    await prisma.transaction.update({
+      where: { id: transaction.id },
+      data: { amount: data.amount, exchangeRate: data.exchangeRate }
+    });
+    updated++;
+  }
+
+  return updated;
+};
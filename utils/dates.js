@@ -0,0 +1,108 @@
+// Date helpers that respect the user's timezone instead of the server's
+
+export const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar date ({ year, month, day }) of an instant as seen in a timezone
+export const getDatePartsInTimezone = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day')
+  };
+};
+
+export const getTodayInTimezone = (timeZone = DEFAULT_TIMEZONE) => getDatePartsInTimezone(new Date(), timeZone);
+
+// Calendar dates (periods, "YYYY-MM-DD") are handled as Date objects at UTC midnight
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toUTCDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+export const formatISODate = (date) => date.toISOString().slice(0, 10);
+
+// Parse a strict "YYYY-MM-DD" string, returns null for anything else (including 2025-02-30)
+export const parseISODate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (isNaN(date.getTime()) || formatISODate(date) !== value) return null;
+
+  return date;
+};
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+export const diffInDays = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+// Calendar date (UTC midnight) of an instant as seen in a timezone
+export const getLocalDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getDatePartsInTimezone(date, timeZone);
+  return toUTCDate(year, month, day);
+};
+
+export const getTodayDate = (timeZone = DEFAULT_TIMEZONE) => getLocalDate(new Date(), timeZone);
+
+// Milliseconds a timezone is ahead of UTC at a given instant
+export const getTimezoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which a calendar date starts in a timezone (second pass handles DST changes)
+export const getStartOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const guess = date.getTime() - getTimezoneOffset(date, timeZone);
+  return new Date(date.getTime() - getTimezoneOffset(new Date(guess), timeZone));
+};
+
+// First day of the week containing `date`, weekStartDay 0 = Sunday ... 6 = Saturday
+export const startOfWeek = (date, weekStartDay = 1) => {
+  const offset = (date.getUTCDay() - weekStartDay + 7) % 7;
+  return addDays(date, -offset);
+};
+
+// ISO 8601 week number (weeks start on Monday, week 1 contains the first Thursday)
+export const getISOWeek = (date) => {
+  const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+  const firstThursday = toUTCDate(thursday.getUTCFullYear(), 1, 4);
+  return 1 + Math.round((diffInDays(firstThursday, thursday) - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+};
@@ -0,0 +1,53 @@
+import { addDays, diffInDays, formatISODate } from './dates.js';
+import { sumMoney, subtractMoney, multiplyMoney, divideMoney } from './money.js';
+
+export const ALLOCATION_SOURCES = ['target', 'surplus'];
+
+const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
+
+// Progress, projected completion and required contribution of a goal.
+// `allocations` need their saving's startDate (include: { saving: true }).
+export const summarizeGoal = (goal, allocations, { today }) => {
+  const savedAmount = sumMoney(allocations.map(allocation => allocation.amount));
+  const remainingAmount = Math.max(subtractMoney(goal.targetAmount, savedAmount), 0);
+  const progress = goal.targetAmount > 0 ? Math.min(savedAmount / goal.targetAmount, 1) : 0;
+
+  // Saving rate from the first period that contributed until today
+  const firstPeriodStart = allocations.reduce((earliest, allocation) => {
+    const start = allocation.saving?.startDate;
+    return start && (!earliest || start < earliest) ? start : earliest;
+  }, null);
+
+  let averagePerMonth = 0;
+  let projectedCompletionDate = null;
+  if (firstPeriodStart && savedAmount > 0) {
+    const daysSaving = Math.max(diffInDays(firstPeriodStart, today) + 1, 1);
+    const perDay = savedAmount / daysSaving;
+    averagePerMonth = multiplyMoney(perDay, AVERAGE_DAYS_PER_MONTH);
+    projectedCompletionDate = remainingAmount === 0
+      ? today
+      : addDays(today, Math.ceil(remainingAmount / perDay));
+  }
+
+  // What each coming period needs to add to reach the target by the deadline
+  let requiredPerPeriod = null;
+  if (goal.deadline && remainingAmount > 0) {
+    const daysLeft = diffInDays(today, goal.deadline) + 1;
+    requiredPerPeriod = daysLeft > 0
+      ? {
+        monthly: divideMoney(remainingAmount, Math.max(Math.ceil(daysLeft / AVERAGE_DAYS_PER_MONTH), 1)),
+        weekly: divideMoney(remainingAmount, Math.max(Math.ceil(daysLeft / 7), 1))
+      }
+      : { monthly: remainingAmount, weekly: remainingAmount };
+  }
+
+  return {
+    savedAmount,
+    remainingAmount,
+    progress,
+    averagePerMonth,
+    projectedCompletionDate: projectedCompletionDate ? formatISODate(projectedCompletionDate) : null,
+    onTrack: goal.deadline && projectedCompletionDate ? projectedCompletionDate <= goal.deadline : null,
+    requiredPerPeriod
+  };
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './session.js';
+import { moneyFields } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Shared households. Saving periods and todos belong either to one user (userId, no groupId)
+// or to a group, which its members reach through their role:
+// owner - everything, including members and invitations; editor - add and change data; viewer - read only.
+// Transactions belong to their saving period; their userId records the member who made them.
+
+export const GROUP_ROLES = ['owner', 'editor', 'viewer'];
+export const INVITATION_ROLES = ['editor', 'viewer'];
+const WRITE_ROLES = ['owner', 'editor'];
+
+const INVITATION_TTL_DAYS = 7;
+
+export const canWrite = (role) => WRITE_ROLES.includes(role);
+
+// Ids of the user's groups; with `write` only those where the user may change data
+export const getGroupIds = async (userId, { write = false } = {}) => {
+  const memberships = await prisma.groupMember.findMany({
+    where: {
+      userId,
+      ...(write && { role: { in: WRITE_ROLES } })
+    },
+    select: { groupId: true }
+  });
+
+  return memberships.map(membership => membership.groupId);
+};
+
+// Where clause for the saving periods or todos a user can reach: personal ones and those of their groups
+export const accessWhere = async (userId, { write = false } = {}) => ({
+  OR: [
+    { userId, groupId: null },
+    { groupId: { in: await getGroupIds(userId, { write }) } }
+  ]
+});
+
+export const getMembership = (groupId, userId) => prisma.groupMember.findUnique({
+  where: { groupId_userId: { groupId, userId } }
+});
+
+// Role of the user for a saving period or todo: 'owner' of personal ones, the member role for
+// ones of a group, null without access
+export const getAccessRole = async (userId, record) => {
+  if (!record) return null;
+  if (record.groupId === null) return record.userId === userId ? 'owner' : null;
+
+  const membership = await getMembership(record.groupId, userId);
+  return membership?.role ?? null;
+};
+
+// Resolve access to a loaded record. Returns { role } or { status, error }:
+// 404 without access, 403 when `write` is needed and the user is a viewer.
+const checkAccess = async (userId, record, { write, notFound }) => {
+  const role = await getAccessRole(userId, record);
+  if (!role) return { status: 404, error: notFound };
+  if (write && !canWrite(role)) return { status: 403, error: 'Viewers cannot change shared data' };
+  return { role };
+};
+
+// Saving period the user can reach, see checkAccess. Returns { saving, role } or { status, error }.
+export const findAccessibleSaving = async (userId, savingId, { write = false, include } = {}) => {
+  const saving = Number.isInteger(savingId)
+    ? await prisma.saving.findUnique({ where: { id: savingId }, include })
+    : null;
+
+  const { role, status, error } = await checkAccess(userId, saving, { write, notFound: 'Saving not found' });
+  return error ? { status, error } : { saving, role };
+};
+
+// Transaction the user can reach through its saving period. Returns { transaction, role } or { status, error }.
+// The saving is included with its owner fields and currency.
+export const findAccessibleTransaction = async (userId, transactionId, { write = false, include = {} } = {}) => {
+  const transaction = Number.isInteger(transactionId)
+    ? await prisma.transaction.findUnique({
+      where: { id: transactionId },
+      include: {
+        ...include,
+        saving: { select: { userId: true, groupId: true, currency: true } }
+      }
+    })
+    : null;
+
+  const { role, status, error } = await checkAccess(userId, transaction?.saving, { write, notFound: 'Transaction not found' });
+  return error ? { status, error } : { transaction, role };
+};
+
+// Todo the user can reach. Returns { todo, role } or { status, error }.
+export const findAccessibleTodo = async (userId, todoId, { write = false } = {}) => {
+  const todo = Number.isInteger(todoId)
+    ? await prisma.todo.findUnique({ where: { id: todoId } })
+    : null;
+
+  const { role, status, error } = await checkAccess(userId, todo, { write, notFound: 'Todo not found' });
+  return error ? { status, error } : { todo, role };
+};
+
+// Check that the user is a member of a group (with `write`: may change its data).
+// Returns { role } or { status, error }.
+export const checkGroupAccess = async (userId, groupId, { write = false } = {}) => {
+  const membership = Number.isInteger(groupId) ? await getMembership(groupId, userId) : null;
+  if (!membership) return { status: 404, error: 'Group not found' };
+  if (write && !canWrite(membership.role)) return { status: 403, error: 'Viewers cannot change shared data' };
+  return { role: membership.role };
+};
+
+// Members of several groups: Map of groupId -> [{ userId, name, role }]
+export const getGroupMembers = async (groupIds) => {
+  const members = new Map();
+  const ids = [...new Set(groupIds.filter(Boolean))];
+  if (ids.length === 0) return members;
+
+  const rows = await prisma.groupMember.findMany({
+    where: { groupId: { in: ids } },
+    include: { user: { select: { name: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  for (const row of rows) {
+    members.set(row.groupId, [
+      ...(members.get(row.groupId) || []),
+      { userId: row.userId, name: row.user.name, role: row.role }
+    ]);
+  }
+
+  return members;
+};
+
+// Create an invitation and return the plain token (only its hash is stored)
+export const createGroupInvitation = async ({ groupId, invitedById, email, role }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await prisma.groupInvitation.create({
+    data: {
+      groupId,
+      invitedById,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return { invitation, token };
+};
+
+// Open invitation of a token, null if it is unknown, accepted or expired
+export const findOpenInvitation = async (token) => {
+  if (typeof token !== 'string' || token === '') return null;
+
+  const invitation = await prisma.groupInvitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { group: true }
+  });
+
+  if (!invitation || invitation.acceptedAt || invitation.expiresAt < new Date()) return null;
+  return invitation;
+};
+
+// Before a user is deleted: groups they are the only owner of get the longest standing member
+// as new owner, groups without other members are deleted with their shared data
+export const handOverGroups = async (prisma, userId) => {
+  const ownerships = await prisma.groupMember.findMany({
+    where: { userId, role: 'owner' },
+    select: { groupId: true }
+  });
+
+  for (const { groupId } of ownerships) {
+    const others = await prisma.groupMember.findMany({
+      where: { groupId, userId: { not: userId } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (others.length === 0) {
+      await prisma.group.delete({ where: { id: groupId } });
+    } else if (!others.some(member => member.role === 'owner')) {
+      await prisma.groupMember.update({
+        where: { id: others[0].id },
+        data: { role: 'owner' }
+      });
+    }
+  }
+};
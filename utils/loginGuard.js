@@ -0,0 +1,103 @@
+import { PrismaClient } from '@prisma/client';
+import { getRateLimitStore } from './rateLimitStore.js';
+
+const prisma = new PrismaClient();
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const BACKOFF_AFTER = 2; // Failures allowed before delays kick in
+const MAX_BACKOFF_SECONDS = 60;
+const STATE_TTL_MS = 60 * 60 * 1000; // Failure history is forgotten after an hour of quiet
+
+const stateKey = (email) => `login:${String(email).trim().toLowerCase()}`;
+
+export const recordSecurityEvent = async (userId, type, req, details = null) => {
+  try {
+    await prisma.securityEvent.create({
+      data: {
+        userId,
+        type,
+        ipAddress: req?.ip || null,
+        details
+      }
+    });
+  } catch (error) {
+    console.error('Record security event error:', error);
+  }
+};
+
+// Check whether a login for this email may be attempted right now.
+// Returns { allowed: true } or { allowed: false, retryAfter } in seconds.
+export const checkLoginAllowed = async (email, req) => {
+  const store = getRateLimitStore();
+  const key = stateKey(email);
+  const state = await store.get(key);
+  const now = Date.now();
+
+  if (!state) return { allowed: true };
+
+  if (state.lockedUntil) {
+    if (state.lockedUntil > now) {
+      return { allowed: false, retryAfter: (state.lockedUntil - now) / 1000 };
+    }
+
+    // Lockout has expired: start over and record the unlock
+    await store.delete(key);
+    if (state.userId) {
+      await recordSecurityEvent(state.userId, 'account_unlocked', req, { reason: 'lockout_expired' });
+    }
+    return { allowed: true };
+  }
+
+  if (state.nextAttemptAt && state.nextAttemptAt > now) {
+    return { allowed: false, retryAfter: (state.nextAttemptAt - now) / 1000 };
+  }
+
+  return { allowed: true };
+};
+
+// Register a failed attempt: progressive delay first, then a temporary lockout
+export const recordLoginFailure = async (email, userId, req) => {
+  const store = getRateLimitStore();
+  const key = stateKey(email);
+  const state = (await store.get(key)) || { failures: 0 };
+  const now = Date.now();
+
+  state.failures += 1;
+  state.userId = userId || null;
+
+  if (state.failures >= MAX_FAILURES) {
+    state.lockedUntil = now + LOCKOUT_MINUTES * 60 * 1000;
+    state.nextAttemptAt = null;
+
+    if (userId) {
+      await recordSecurityEvent(userId, 'account_locked', req, {
+        failures: state.failures,
+        lockedUntil: new Date(state.lockedUntil).toISOString()
+      });
+    }
+  } else if (state.failures > BACKOFF_AFTER) {
+    const delaySeconds = Math.min(2 ** (state.failures - BACKOFF_AFTER), MAX_BACKOFF_SECONDS);
+    state.nextAttemptAt = now + delaySeconds * 1000;
+  }
+
+  await store.set(key, state, STATE_TTL_MS);
+  return state;
+};
+
+export const clearLoginFailures = async (email) => {
+  await getRateLimitStore().delete(stateKey(email));
+};
+
+// Lift a lockout early, e.g. after a successful password reset
+export const unlockAccount = async (user, req, reason) => {
+  const store = getRateLimitStore();
+  const key = stateKey(user.email);
+  const state = await store.get(key);
+
+  await store.delete(key);
+
+  if (state?.lockedUntil && state.lockedUntil > Date.now()) {
+    await recordSecurityEvent(user.id, 'account_unlocked', req, { reason });
+  }
+};
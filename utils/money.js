@@ -0,0 +1,100 @@
+// Money arithmetic and formatting. Amounts are stored as DECIMAL(15,2) and read as numbers;
+// sums, differences and shares are computed in integer cents so no float drift builds up.
+
+export const MONEY_SCALE = 2;
+
+const CENTS = 10 ** MONEY_SCALE;
+
+export const toCents = (value) => Math.round(Number(value ?? 0) * CENTS);
+
+export const fromCents = (cents) => Math.round(cents) / CENTS;
+
+export const roundMoney = (value) => fromCents(toCents(value));
+
+export const sumMoney = (values) => fromCents(values.reduce((sum, value) => sum + toCents(value), 0));
+
+// First value minus all others
+export const subtractMoney = (value, ...values) =>
+  fromCents(values.reduce((rest, other) => rest - toCents(other), toCents(value)));
+
+// Shares of an amount (expected spending, averages, conversions), rounded to cents
+export const multiplyMoney = (value, factor) => fromCents(toCents(value) * factor);
+
+export const divideMoney = (value, divisor) => (divisor ? fromCents(toCents(value) / divisor) : 0);
+
+// Split an amount by weights into parts that add up to it exactly: every part is rounded down
+// to cents and the cents left over go to the parts with the largest remainders
+export const allocateMoney = (value, weights) => {
+  const cents = toCents(value);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (cents * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  let left = cents - parts.reduce((sum, part) => sum + part, 0);
+
+  const byRemainder = exact
+    .map((share, index) => ({ index, remainder: share - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (left <= 0) break;
+    parts[index] += 1;
+    left -= 1;
+  }
+
+  return parts.map(fromCents);
+};
+
+// Amount from a request body: number or numeric string, rounded to cents. null when not a number.
+export const parseMoney = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = typeof value === 'string' ? Number(value.trim()) : Number(value);
+  return Number.isFinite(amount) ? roundMoney(amount) : null;
+};
+
+// Fraction digits used for a currency (IDR 2, JPY 0); unknown codes use the storage scale
+export const getCurrencyDigits = (currency) => {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return MONEY_SCALE;
+  }
+};
+
+// Money in a locale, e.g. "Rp 15.000,00" or "$12.50"; unknown codes become "XYZ 12.50"
+export const formatMoney = (value, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value ?? 0);
+  } catch {
+    const digits = getCurrencyDigits(currency);
+    const number = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    return `${currency} ${number.format(value ?? 0)}`;
+  }
+};
+
+// Prisma client extension: DECIMAL money columns come back as numbers instead of Decimal objects,
+// so they serialize as JSON numbers and compare like before. Use with new PrismaClient().$extends(moneyFields).
+const decimalField = (field) => ({
+  needs: { [field]: true },
+  compute: (row) => (row[field] === null ? null : Number(row[field]))
+});
+
+const decimalFields = (...fields) => Object.fromEntries(fields.map(field => [field, decimalField(field)]));
+
+export const moneyFields = {
+  name: 'money',
+  result: {
+    saving: decimalFields('monthlyIncome', 'savingTarget', 'availableAmount', 'dailyBudget', 'rolloverAmount'),
+    savingPlan: decimalFields('monthlyIncome', 'savingTarget'),
+    goal: decimalFields('targetAmount'),
+    goalAllocation: decimalFields('amount'),
+    categoryBudget: decimalFields('limit'),
+    transaction: decimalFields('amount', 'originalAmount'),
+    recurringTransaction: decimalFields('amount'),
+    recurringOccurrence: decimalFields('amount'),
+    split: decimalFields('totalAmount'),
+    splitShare: decimalFields('amount'),
+    settlement: decimalFields('amount'),
+    todo: decimalFields('estimatedCost')
+  }
+};
@@ -0,0 +1,150 @@
+import { PrismaClient } from '@prisma/client';
+import { sendNotificationMail } from './mailer.js';
+import { sendPush } from './push.js';
+
+const prisma = new PrismaClient();
+
+// Notifications go out through channels. A channel is any object with a name and an async
+// deliver(user, notification) method and can be replaced with setNotificationChannel(),
+// e.g. with createMemoryChannel() in tests.
+// The in-app channel stores the notification in the user's inbox and runs first: it returns null
+// when the same notification (same dedupeKey) is already there, and then nothing else is sent.
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+
+// Fields of the user the channels need
+export const notificationUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  emailVerifiedAt: true,
+  locale: true,
+  timezone: true,
+  notifyByEmail: true,
+  notifyByPush: true,
+  budgetAlertPercent: true
+};
+
+const inAppChannel = {
+  name: 'inApp',
+  async deliver(user, notification) {
+    try {
+      return await prisma.notification.create({
+        data: { userId: user.id, ...notification }
+      });
+    } catch (error) {
+      // Already in the inbox
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+};
+
+const emailChannel = {
+  name: 'email',
+  deliver: (user, notification) => sendNotificationMail(user, notification)
+};
+
+const pushChannel = {
+  name: 'push',
+  async deliver(user, notification) {
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: user.id }
+    });
+
+    const payload = {
+      title: notification.title,
+      body: notification.message,
+      data: { id: notification.id, type: notification.type, savingId: notification.savingId }
+    };
+
+    for (const subscription of subscriptions) {
+      try {
+        await sendPush(subscription, payload);
+      } catch (error) {
+        // The browser unsubscribed, stop pushing to it
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await prisma.pushSubscription.deleteMany({ where: { id: subscription.id } });
+        } else {
+          console.error('Send push error:', error);
+        }
+      }
+    }
+  }
+};
+
+// Keeps everything in memory; as in-app channel it also drops repeated dedupeKeys like the inbox
+export const createMemoryChannel = (name) => ({
+  name,
+  delivered: [],
+  async deliver(user, notification) {
+    if (this.delivered.some(item => item.userId === user.id && item.dedupeKey === notification.dedupeKey)) {
+      return null;
+    }
+
+    const stored = {
+      id: this.delivered.length + 1,
+      userId: user.id,
+      savingId: null,
+      details: null,
+      ...notification,
+      readAt: null,
+      createdAt: new Date()
+    };
+    this.delivered.push(stored);
+    return stored;
+  }
+});
+
+const channels = {
+  inApp: inAppChannel,
+  email: emailChannel,
+  push: pushChannel
+};
+
+export const setNotificationChannel = (name, channel) => {
+  if (!NOTIFICATION_CHANNELS.includes(name)) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  channels[name] = channel;
+};
+
+// Channels besides the inbox the user wants; email only to a verified address
+const getExtraChannels = (user) => [
+  user.notifyByEmail && user.emailVerifiedAt ? channels.email : null,
+  user.notifyByPush ? channels.push : null
+].filter(Boolean);
+
+// Store and send notifications ({ type, title, message, dedupeKey, savingId?, details? }).
+// Returns the ones that were new. Failing email or push deliveries are logged, not thrown.
+export const notify = async (user, notifications) => {
+  const created = [];
+
+  for (const notification of notifications) {
+    const stored = await channels.inApp.deliver(user, notification);
+    if (!stored) continue;
+    created.push(stored);
+
+    for (const channel of getExtraChannels(user)) {
+      try {
+        await channel.deliver(user, stored);
+      } catch (error) {
+        console.error(`Deliver notification error (${channel.name}):`, error);
+      }
+    }
+  }
+
+  return created;
+};
+
+export const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  savingId: notification.savingId,
+  details: notification.details,
+  read: notification.readAt !== null,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
@@ -0,0 +1,89 @@
+import { toUTCDate, addDays, diffInDays, startOfWeek, getISOWeek } from './dates.js';
+
+// A saving period always has explicit, inclusive startDate/endDate.
+// month/year/weekNumber are kept for grouping and older clients.
+
+export const PERIOD_TYPES = ['monthly', 'weekly', 'custom'];
+
+export const MAX_CUSTOM_PERIOD_DAYS = 366;
+
+export const buildMonthlyPeriod = (year, month) => ({
+  period: 'monthly',
+  startDate: toUTCDate(year, month, 1),
+  endDate: toUTCDate(year, month + 1, 0),
+  month,
+  year,
+  weekNumber: null
+});
+
+// The week containing `date`, starting on the user's week start day.
+// The week belongs to the month/ISO week of its 4th day, like ISO 8601 does.
+export const buildWeeklyPeriod = (date, weekStartDay = 1) => {
+  const startDate = startOfWeek(date, weekStartDay);
+  const middle = addDays(startDate, 3);
+
+  return {
+    period: 'weekly',
+    startDate,
+    endDate: addDays(startDate, 6),
+    month: middle.getUTCMonth() + 1,
+    year: middle.getUTCFullYear(),
+    weekNumber: getISOWeek(middle)
+  };
+};
+
+// Any date range, e.g. payday to payday
+export const buildCustomPeriod = (startDate, endDate) => ({
+  period: 'custom',
+  startDate,
+  endDate,
+  month: startDate.getUTCMonth() + 1,
+  year: startDate.getUTCFullYear(),
+  weekNumber: null
+});
+
+// Older clients sent weekNumber 1-4 inside a month: use the week containing day 1, 8, 15, 22...
+export const legacyWeekDate = (year, month, weekNumber) => toUTCDate(year, month, (weekNumber - 1) * 7 + 1);
+
+// Number of days in a period, both ends included
+export const getPeriodDays = ({ startDate, endDate }) => diffInDays(startDate, endDate) + 1;
+
+export const isDateInPeriod = (date, { startDate, endDate }) => date >= startDate && date <= endDate;
+
+// When a weekly and a monthly period both cover a date, the shorter one is the active one
+export const pickActivePeriod = (candidates) => {
+  let active = null;
+  for (const candidate of candidates) {
+    if (!active || getPeriodDays(candidate) < getPeriodDays(active)) active = candidate;
+  }
+  return active;
+};
+
+// Same day-of-month `months` later, clamped to the month's length (Jan 31 -> Feb 28)
+const addMonthsClamped = (year, month, months, day) => {
+  const first = toUTCDate(year, month + months, 1);
+  const lastDay = toUTCDate(first.getUTCFullYear(), first.getUTCMonth() + 2, 0).getUTCDate();
+  return toUTCDate(first.getUTCFullYear(), first.getUTCMonth() + 1, Math.min(day, lastDay));
+};
+
+// The `index`-th period of a savings plan. Monthly plans starting on the 1st follow
+// calendar months, other start days give payday-to-payday custom periods.
+export const buildPlanPeriod = (plan, index, weekStartDay = 1) => {
+  if (plan.period === 'weekly') {
+    const firstWeek = startOfWeek(plan.startDate, weekStartDay);
+    return buildWeeklyPeriod(addDays(firstWeek, index * 7), weekStartDay);
+  }
+
+  const year = plan.startDate.getUTCFullYear();
+  const month = plan.startDate.getUTCMonth() + 1;
+  const anchorDay = plan.startDate.getUTCDate();
+
+  if (anchorDay === 1) {
+    const first = toUTCDate(year, month + index, 1);
+    return buildMonthlyPeriod(first.getUTCFullYear(), first.getUTCMonth() + 1);
+  }
+
+  const startDate = addMonthsClamped(year, month, index, anchorDay);
+  const endDate = addDays(addMonthsClamped(year, month, index + 1, anchorDay), -1);
+  return buildCustomPeriod(startDate, endDate);
+};
@@ -0,0 +1,180 @@
+import { PrismaClient } from '@prisma/client';
+import { getTodayDate } from './dates.js';
+import { buildPlanPeriod, getPeriodDays } from './periods.js';
+import { getRemainingBudget } from './budget.js';
+import { moneyFields, sumMoney, subtractMoney, divideMoney } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+export const ROLLOVER_MODES = ['none', 'carry_budget', 'add_to_target'];
+
+// Safety net so a broken plan can never loop forever
+const MAX_PERIODS_PER_RUN = 1000;
+
+// Leftover of the plan's previous period, used by the rollover rules. Periods created in the
+// same catch-up run (`createdIds`) had no chance to be used yet: their untouched budget would
+// be carried over again and again, so they leave nothing over.
+const getPreviousLeftover = async (plan, startDate, createdIds) => {
+  const previous = await prisma.saving.findFirst({
+    where: {
+      planId: plan.id,
+      startDate: { lt: startDate }
+    },
+    orderBy: { startDate: 'desc' },
+    include: { transactions: true }
+  });
+
+  if (!previous || createdIds.has(previous.id)) return 0;
+  return getRemainingBudget(previous, previous.transactions);
+};
+
+// Amounts for a new period after applying the plan's rollover rule
+const buildPeriodAmounts = (plan, periodData, leftover) => {
+  let monthlyIncome = plan.monthlyIncome;
+  let savingTarget = plan.savingTarget;
+  let rolloverAmount = 0;
+
+  // Only a surplus rolls over, overspending stays in the period it happened
+  if (leftover > 0 && plan.rollover === 'carry_budget') {
+    monthlyIncome = sumMoney([monthlyIncome, leftover]);
+    rolloverAmount = leftover;
+  } else if (leftover > 0 && plan.rollover === 'add_to_target') {
+    monthlyIncome = sumMoney([monthlyIncome, leftover]);
+    savingTarget = sumMoney([savingTarget, leftover]);
+    rolloverAmount = leftover;
+  }
+
+  const availableAmount = subtractMoney(monthlyIncome, savingTarget);
+
+  return {
+    monthlyIncome,
+    savingTarget,
+    availableAmount,
+    dailyBudget: divideMoney(availableAmount, getPeriodDays(periodData)),
+    rolloverAmount
+  };
+};
+
+// Create every period of a plan that has started by `today` and does not exist yet.
+// Safe to run repeatedly: existing periods are left alone.
+export const generatePlanPeriods = async (plan, { weekStartDay = 1, today, currency } = {}) => {
+  const created = [];
+  const skipped = [];
+
+  // Periods the user already has, loaded once instead of queried per period
+  const firstPeriod = buildPlanPeriod(plan, 0, weekStartDay);
+  const existingPeriods = await prisma.saving.findMany({
+    where: {
+      userId: plan.userId,
+      endDate: { gte: firstPeriod.startDate }
+    },
+    select: { id: true, period: true, startDate: true, endDate: true }
+  });
+
+  for (let index = 0; index < MAX_PERIODS_PER_RUN; index++) {
+    const periodData = buildPlanPeriod(plan, index, weekStartDay);
+
+    if (periodData.startDate > today) break;
+    if (plan.endDate && periodData.startDate > plan.endDate) break;
+
+    const sameType = existingPeriods.filter(saving => saving.period === periodData.period);
+
+    // Already there (generated before or created by hand for the same start date)
+    if (sameType.some(saving => saving.startDate.getTime() === periodData.startDate.getTime())) continue;
+
+    // Do not overwrite a period the user created by hand
+    const overlapping = sameType.find(saving =>
+      saving.startDate <= periodData.endDate && saving.endDate >= periodData.startDate
+    );
+    if (overlapping) {
+      skipped.push({
+        startDate: periodData.startDate,
+        endDate: periodData.endDate,
+        overlappingSavingId: overlapping.id
+      });
+      continue;
+    }
+
+    const leftover = plan.rollover === 'none'
+      ? 0
+      : await getPreviousLeftover(plan, periodData.startDate, new Set(created.map(saving => saving.id)));
+
+    try {
+      const saving = await prisma.saving.create({
+        data: {
+          userId: plan.userId,
+          planId: plan.id,
+          currency,
+          ...periodData,
+          ...buildPeriodAmounts(plan, periodData, leftover)
+        }
+      });
+      created.push(saving);
+      existingPeriods.push(saving);
+    } catch (error) {
+      // Another run created it in the meantime
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  return { created, skipped };
+};
+
+// Catch up all active plans of one user
+export const generateUserPlanPeriods = async (user) => {
+  const plans = await prisma.savingPlan.findMany({
+    where: { userId: user.id, active: true }
+  });
+
+  const today = getTodayDate(user.timezone);
+  const results = [];
+
+  for (const plan of plans) {
+    const result = await generatePlanPeriods(plan, { weekStartDay: user.weekStartDay, today, currency: user.currency });
+    results.push({ planId: plan.id, ...result });
+  }
+
+  return results;
+};
+
+// Catch up the active plans of every user
+export const runPlanScheduler = async () => {
+  const plans = await prisma.savingPlan.findMany({
+    where: { active: true },
+    include: {
+      user: {
+        select: { timezone: true, weekStartDay: true, currency: true }
+      }
+    }
+  });
+
+  let createdCount = 0;
+  for (const plan of plans) {
+    try {
+      const { created } = await generatePlanPeriods(plan, {
+        weekStartDay: plan.user.weekStartDay,
+        today: getTodayDate(plan.user.timezone),
+        currency: plan.user.currency
+      });
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Plan scheduler error (plan ${plan.id}):`, error);
+    }
+  }
+
+  return createdCount;
+};
+
+// Run once at startup (fills periods missed while the server was down), then periodically
+export const startPlanScheduler = () => {
+  const intervalMinutes = parseInt(process.env.PLAN_SCHEDULER_INTERVAL_MINUTES ?? '60');
+  if (!intervalMinutes) return null;
+
+  const run = () => runPlanScheduler()
+    .catch(error => console.error('Plan scheduler error:', error));
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+};
@@ -0,0 +1,49 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// A push transport is any object with an async send(subscription, payload) method, where
+// subscription is { endpoint, p256dh, auth } as stored from the browser's PushSubscription.
+// A Web Push provider (VAPID signed, e.g. the web-push package) can be plugged in with setPushTransport().
+// A transport throws an error with statusCode 404 or 410 when the subscription no longer exists.
+
+// Drops every push until a real transport is configured. Nothing is logged: subscription
+// endpoints are capability URLs and payloads hold the user's alerts.
+export const noopPushTransport = {
+  name: 'none',
+  async send() {}
+};
+
+// Writes every push as a JSON file so it can be inspected offline
+export const createFilePushTransport = (directory) => ({
+  name: 'file',
+  async send(subscription, payload) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify({
+      endpoint: subscription.endpoint,
+      payload,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+    return filePath;
+  }
+});
+
+// The file transport is for development only
+const defaultTransport = () => {
+  if (process.env.NODE_ENV !== 'production' && process.env.PUSH_TRANSPORT === 'file') {
+    return createFilePushTransport(process.env.PUSH_DIR || path.join(process.cwd(), 'pushes'));
+  }
+  return noopPushTransport;
+};
+
+let transport = defaultTransport();
+
+export const setPushTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Public VAPID key the browser needs to subscribe, null when push is not configured
+export const getPushPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+export const sendPush = (subscription, payload) => transport.send(subscription, payload);
@@ -0,0 +1,63 @@
+// Storage for rate limit and lockout counters.
+// A store must implement async get/set/increment/delete. The in-memory store
+// works for a single instance; for several instances plug in a shared backend
+// (e.g. Redis) with setRateLimitStore().
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired entries in the background without keeping the process alive
+    this.timer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.timer.unref?.();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  // Fixed window counter. Returns the count in the current window and when it resets.
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      this.entries.set(key, { value: 1, expiresAt: now + windowMs });
+      return { count: 1, resetAt: now + windowMs };
+    }
+
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+export const getRateLimitStore = () => store;
+
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
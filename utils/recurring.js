@@ -0,0 +1,281 @@
+import { PrismaClient } from '@prisma/client';
+import { toUTCDate, addDays, getTodayDate, getStartOfDay, startOfWeek } from './dates.js';
+import { isDateInPeriod, pickActivePeriod } from './periods.js';
+import { moneyFields } from './money.js';
+import { loadRateLookup, convertTransactionAmount } from './currency.js';
+import { checkBudgetAlerts } from './alerts.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Recurring transactions (phone credit, rent, subscriptions): schedule, materialisation
+// into the saving period covering each occurrence, and upcoming commitments. Amounts are in the
+// rule's currency and converted to the currency of the period they land in.
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Safety net so a broken rule can never loop forever
+const MAX_OCCURRENCES = 5000;
+
+// Thrown inside the booking transaction when another run booked the occurrence first
+class AlreadyBookedError extends Error {}
+
+// Same day-of-month, clamped to the month's length (31 -> Feb 28)
+const clampedMonthDay = (year, month, day) => {
+  const lastDay = toUTCDate(year, month + 1, 0).getUTCDate();
+  return toUTCDate(year, month, Math.min(day, lastDay));
+};
+
+// The `index`-th scheduled date of a rule, ignoring its end date
+const getScheduledDate = (rule, index) => {
+  if (rule.frequency === 'daily') {
+    return addDays(rule.startDate, index * rule.interval);
+  }
+
+  if (rule.frequency === 'weekly') {
+    const dayOfWeek = rule.dayOfWeek ?? rule.startDate.getUTCDay();
+    const first = addDays(startOfWeek(rule.startDate, dayOfWeek), rule.startDate.getUTCDay() === dayOfWeek ? 0 : 7);
+    return addDays(first, index * 7 * rule.interval);
+  }
+
+  // Monthly: the first month is skipped when its day is before the start date
+  const dayOfMonth = rule.dayOfMonth ?? rule.startDate.getUTCDate();
+  const startMonth = rule.startDate.getUTCMonth() + 1;
+  const first = clampedMonthDay(rule.startDate.getUTCFullYear(), startMonth, dayOfMonth);
+  const offset = first < rule.startDate ? 1 : 0;
+  const month = toUTCDate(rule.startDate.getUTCFullYear(), startMonth + offset + index * rule.interval, 1);
+  return clampedMonthDay(month.getUTCFullYear(), month.getUTCMonth() + 1, dayOfMonth);
+};
+
+// Scheduled dates of a rule between from and to (inclusive)
+export const listOccurrences = (rule, from, to) => {
+  const dates = [];
+  const last = rule.endDate && rule.endDate < to ? rule.endDate : to;
+
+  for (let index = 0; index < MAX_OCCURRENCES; index++) {
+    const date = getScheduledDate(rule, index);
+    if (date > last) break;
+    if (date >= from) dates.push(date);
+  }
+
+  return dates;
+};
+
+// Occurrence as it will be booked, with single-occurrence edits applied
+const buildOccurrence = (rule, date, override) => ({
+  recurringId: rule.id,
+  date,
+  amount: override?.amount ?? rule.amount,
+  currency: rule.currency,
+  type: rule.type,
+  description: override?.description ?? rule.description ?? '',
+  categoryId: rule.categoryId,
+  edited: Boolean(override && (override.amount !== null || override.description !== null))
+});
+
+const occurrenceKey = (recurringId, date) => `${recurringId}|${date.getTime()}`;
+
+// Occurrences of the user's active rules between from and to that are not booked or skipped yet
+export const getUpcomingOccurrences = async (userId, from, to) => {
+  const rules = await prisma.recurringTransaction.findMany({
+    where: {
+      userId,
+      active: true,
+      startDate: { lte: to },
+      OR: [{ endDate: null }, { endDate: { gte: from } }]
+    },
+    include: {
+      occurrences: {
+        where: { date: { gte: from, lte: to } }
+      }
+    }
+  });
+
+  const upcoming = [];
+  for (const rule of rules) {
+    const rows = new Map(rule.occurrences.map(row => [occurrenceKey(rule.id, row.date), row]));
+
+    for (const date of listOccurrences(rule, from, to)) {
+      const row = rows.get(occurrenceKey(rule.id, date));
+      if (row && row.status !== 'pending') continue;
+      upcoming.push(buildOccurrence(rule, date, row));
+    }
+  }
+
+  return upcoming.sort((a, b) => a.date - b.date);
+};
+
+// Upcoming occurrences per saving id, from today until the end of the given periods.
+// Like a booked transaction, each occurrence belongs to the active period covering its date.
+export const getPeriodCommitments = async (userId, savings, today) => {
+  const commitments = new Map();
+  const open = savings.filter(saving => saving.endDate >= today);
+  if (open.length === 0) return commitments;
+
+  const to = new Date(Math.max(...open.map(saving => saving.endDate.getTime())));
+  const [upcoming, periods] = await Promise.all([
+    getUpcomingOccurrences(userId, today, to),
+    prisma.saving.findMany({
+      where: { userId, startDate: { lte: to }, endDate: { gte: today } },
+      select: { id: true, startDate: true, endDate: true, currency: true }
+    })
+  ]);
+
+  const lookup = await loadRateLookup(userId, [
+    ...upcoming.map(occurrence => occurrence.currency),
+    ...periods.map(period => period.currency)
+  ]);
+
+  for (const occurrence of upcoming) {
+    const saving = pickActivePeriod(periods.filter(period => isDateInPeriod(occurrence.date, period)));
+    if (!saving) continue;
+
+    // Without a rate the occurrence cannot be booked yet, so it is not counted either
+    const { data } = convertTransactionAmount(lookup, { ...occurrence, saving });
+    if (!data) continue;
+
+    commitments.set(saving.id, [...(commitments.get(saving.id) || []), { ...occurrence, amount: data.amount }]);
+  }
+
+  return commitments;
+};
+
+// Book every occurrence of a rule up to `today` into the saving period covering it.
+// Safe to run repeatedly: booked and skipped occurrences are recorded and left alone.
+// Occurrences without a saving period, or without an exchange rate to its currency, are booked
+// once there is one.
+// After a schedule change only dates from the change on are booked (`bookFrom`), the past
+// was booked under the old schedule.
+export const generateRecurringTransactions = async (rule, { today, timeZone }) => {
+  const created = [];
+  const from = rule.bookFrom && rule.bookFrom > rule.startDate ? rule.bookFrom : rule.startDate;
+  if (!rule.active || from > today) return created;
+
+  const dates = listOccurrences(rule, from, today);
+  if (dates.length === 0) return created;
+
+  const [rows, savings] = await Promise.all([
+    prisma.recurringOccurrence.findMany({ where: { recurringId: rule.id } }),
+    prisma.saving.findMany({
+      where: { userId: rule.userId, startDate: { lte: today }, endDate: { gte: dates[0] } },
+      select: { id: true, startDate: true, endDate: true, currency: true }
+    })
+  ]);
+  const rowsByDate = new Map(rows.map(row => [row.date.getTime(), row]));
+  const lookup = await loadRateLookup(rule.userId, [rule.currency, ...savings.map(saving => saving.currency)]);
+
+  for (const date of dates) {
+    const row = rowsByDate.get(date.getTime());
+    if (row && row.status !== 'pending') continue;
+
+    const saving = pickActivePeriod(savings.filter(period => isDateInPeriod(date, period)));
+    if (!saving) continue;
+
+    const occurrence = buildOccurrence(rule, date, row);
+    const { data: amounts } = convertTransactionAmount(lookup, { ...occurrence, saving });
+    if (!amounts) continue;
+
+    try {
+      const transaction = await prisma.$transaction(async (prisma) => {
+        const transaction = await prisma.transaction.create({
+          data: {
+            userId: rule.userId,
+            savingId: saving.id,
+            categoryId: occurrence.categoryId,
+            type: occurrence.type,
+            description: occurrence.description,
+            date: getStartOfDay(date, timeZone),
+            ...amounts
+          }
+        });
+
+        if (row) {
+          const { count } = await prisma.recurringOccurrence.updateMany({
+            where: { id: row.id, status: 'pending' },
+            data: { status: 'posted', transactionId: transaction.id }
+          });
+          if (count === 0) throw new AlreadyBookedError();
+        } else {
+          await prisma.recurringOccurrence.create({
+            data: { recurringId: rule.id, date, status: 'posted', transactionId: transaction.id }
+          });
+        }
+
+        return transaction;
+      });
+      created.push(transaction);
+    } catch (error) {
+      // Another run booked it in the meantime
+      if (!(error instanceof AlreadyBookedError) && error.code !== 'P2002') throw error;
+    }
+  }
+
+  return created;
+};
+
+// Book due occurrences of all active rules of one user
+export const generateUserRecurringTransactions = async (user) => {
+  const rules = await prisma.recurringTransaction.findMany({
+    where: { userId: user.id, active: true }
+  });
+
+  const today = getTodayDate(user.timezone);
+  let created = [];
+  for (const rule of rules) {
+    created = created.concat(await generateRecurringTransactions(rule, { today, timeZone: user.timezone }));
+  }
+
+  return created;
+};
+
+// Book due occurrences of every user's active rules
+export const runRecurringScheduler = async () => {
+  const rules = await prisma.recurringTransaction.findMany({
+    where: { active: true },
+    include: {
+      user: {
+        select: { timezone: true }
+      }
+    }
+  });
+
+  let createdCount = 0;
+  for (const rule of rules) {
+    try {
+      const created = await generateRecurringTransactions(rule, {
+        today: getTodayDate(rule.user.timezone),
+        timeZone: rule.user.timezone
+      });
+      createdCount += created.length;
+      await checkBudgetAlerts(rule.userId, created.map(transaction => transaction.savingId));
+    } catch (error) {
+      console.error(`Recurring scheduler error (rule ${rule.id}):`, error);
+    }
+  }
+
+  return createdCount;
+};
+
+// Run once at startup (books occurrences missed while the server was down), then periodically
+export const startRecurringScheduler = () => {
+  const intervalMinutes = parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MINUTES ?? '60');
+  if (!intervalMinutes) return null;
+
+  const run = () => runRecurringScheduler()
+    .catch(error => console.error('Recurring scheduler error:', error));
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+};
+
+// Next scheduled dates of a rule from `today` on, skipped ones included
+export const listNextOccurrences = (rule, today, count = 5) => {
+  const dates = [];
+  for (let index = 0; index < MAX_OCCURRENCES && dates.length < count; index++) {
+    const date = getScheduledDate(rule, index);
+    if (rule.endDate && date > rule.endDate) break;
+    if (date >= today) dates.push(date);
+  }
+  return dates;
+};
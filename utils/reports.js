@@ -0,0 +1,506 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import {
+  parseISODate,
+  formatISODate,
+  addDays,
+  diffInDays,
+  toUTCDate,
+  startOfWeek,
+  getTodayDate,
+  getStartOfDay,
+  getTimezoneOffset
+} from './dates.js';
+import { isDateInPeriod, pickActivePeriod } from './periods.js';
+import { moneyFields, roundMoney, sumMoney, subtractMoney, divideMoney } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Spending reports aggregated by the database, bucketed per day, week or month
+// in the user's timezone. All report queries take from/to (YYYY-MM-DD) and granularity.
+// Amounts are converted from each period's currency into the user's currency.
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+// Longest range a report may cover
+export const MAX_REPORT_DAYS = 1100;
+
+// Net spending, extra income and deposits per transaction row, from an amount expression
+const spentSql = (amount) => Prisma.sql`CASE WHEN t.\`type\` = 'expense' THEN ${amount} WHEN t.\`type\` = 'refund' THEN -${amount} ELSE 0 END`;
+const incomeSql = (amount) => Prisma.sql`CASE WHEN t.\`type\` = 'income' THEN ${amount} ELSE 0 END`;
+const savedSql = (amount) => Prisma.sql`CASE WHEN t.\`type\` = 'saving' THEN ${amount} ELSE 0 END`;
+
+// First day of the bucket containing `date`
+export const getBucketStart = (date, granularity, weekStartDay = 1) => {
+  if (granularity === 'week') return startOfWeek(date, weekStartDay);
+  if (granularity === 'month') return toUTCDate(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return date;
+};
+
+const getNextBucketStart = (start, granularity) => {
+  if (granularity === 'week') return addDays(start, 7);
+  if (granularity === 'month') return toUTCDate(start.getUTCFullYear(), start.getUTCMonth() + 2, 1);
+  return addDays(start, 1);
+};
+
+// Every bucket of the range, clipped to from/to, so days without transactions show up as zero
+const listBuckets = ({ from, to, granularity, weekStartDay }) => {
+  const buckets = [];
+  for (let start = getBucketStart(from, granularity, weekStartDay); start <= to; start = getNextBucketStart(start, granularity)) {
+    const end = addDays(getNextBucketStart(start, granularity), -1);
+    buckets.push({
+      period: formatISODate(start),
+      startDate: start < from ? from : start,
+      endDate: end > to ? to : end
+    });
+  }
+  return buckets;
+};
+
+// SQL bucket (a DATE) of a calendar date expression, matching getBucketStart
+const bucketSql = (dateSql, granularity, weekStartDay) => {
+  if (granularity === 'week') {
+    return Prisma.sql`DATE_SUB(${dateSql}, INTERVAL MOD(DAYOFWEEK(${dateSql}) - 1 - ${weekStartDay} + 7, 7) DAY)`;
+  }
+  if (granularity === 'month') {
+    return Prisma.sql`DATE_SUB(${dateSql}, INTERVAL DAYOFMONTH(${dateSql}) - 1 DAY)`;
+  }
+  return dateSql;
+};
+
+// Calendar date of a transaction in the user's timezone. The offset at the start of
+// the range is used for the whole range, DST changes inside a range are ignored.
+const localDateSql = (range) => Prisma.sql`DATE(DATE_ADD(t.\`date\`, INTERVAL ${range.offsetMinutes} MINUTE))`;
+
+// Reports cover the user's own periods, shared periods of a group have their own member breakdown
+const transactionRangeSql = (userId, range) => Prisma.sql`
+  t.userId = ${userId} AND s.groupId IS NULL AND t.\`date\` >= ${range.startInstant} AND t.\`date\` < ${range.endInstant}`;
+
+// Rate from a period currency into the report currency valid on a calendar date: 1 for the
+// same currency, the inverse of the opposite pair when only that one is known, NULL without a rate
+const rateSql = (userId, range, currencySql, dateSql) => Prisma.sql`CASE WHEN ${currencySql} = ${range.currency} THEN 1 ELSE COALESCE(
+  (SELECT r.rate FROM exchange_rates r
+    WHERE r.userId = ${userId} AND r.currency = ${currencySql} AND r.baseCurrency = ${range.currency} AND r.\`date\` <= ${dateSql}
+    ORDER BY r.\`date\` DESC LIMIT 1),
+  (SELECT 1 / r.rate FROM exchange_rates r
+    WHERE r.userId = ${userId} AND r.currency = ${range.currency} AND r.baseCurrency = ${currencySql} AND r.\`date\` <= ${dateSql}
+    ORDER BY r.\`date\` DESC LIMIT 1)
+) END`;
+
+// Transaction amount in the report currency (needs savings joined as s); without a report
+// currency amounts stay in their period's currency
+const amountSql = (userId, range) => range.currency
+  ? Prisma.sql`(t.amount * ${rateSql(userId, range, Prisma.sql`s.currency`, localDateSql(range))})`
+  : Prisma.sql`t.amount`;
+
+// MySQL returns COUNT as BigInt and DATE columns as Date
+const toNumber = (value) => Number(value ?? 0);
+// Money sums come back as DECIMAL (or DOUBLE once converted with a rate), rounded to cents here
+const toMoney = (value) => roundMoney(value ?? 0);
+const toPeriod = (value) => formatISODate(new Date(value));
+
+// Validate from/to/granularity, returns { data } or { error }.
+// Without a range the last 30 days, 12 weeks or 12 months up to today are used.
+export const parseReportRange = (query, user) => {
+  const granularity = query.granularity ?? 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+
+  const today = getTodayDate(user.timezone);
+  const to = query.to !== undefined ? parseISODate(query.to) : today;
+  if (!to) {
+    return { error: 'to must be in YYYY-MM-DD format' };
+  }
+
+  let from;
+  if (query.from !== undefined) {
+    from = parseISODate(query.from);
+    if (!from) {
+      return { error: 'from must be in YYYY-MM-DD format' };
+    }
+  } else if (granularity === 'month') {
+    from = toUTCDate(to.getUTCFullYear(), to.getUTCMonth() - 10, 1);
+  } else if (granularity === 'week') {
+    from = startOfWeek(addDays(to, -77), user.weekStartDay);
+  } else {
+    from = addDays(to, -29);
+  }
+
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  if (diffInDays(from, to) + 1 > MAX_REPORT_DAYS) {
+    return { error: `A report can cover at most ${MAX_REPORT_DAYS} days` };
+  }
+
+  const startInstant = getStartOfDay(from, user.timezone);
+
+  return {
+    data: {
+      from,
+      to,
+      today,
+      granularity,
+      weekStartDay: user.weekStartDay,
+      locale: user.locale,
+      timeZone: user.timezone,
+      currency: user.currency,
+      startInstant,
+      endInstant: getStartOfDay(addDays(to, 1), user.timezone),
+      offsetMinutes: Math.round(getTimezoneOffset(startInstant, user.timezone) / 60000)
+    }
+  };
+};
+
+const rangeInfo = (range) => ({
+  from: formatISODate(range.from),
+  to: formatISODate(range.to),
+  granularity: range.granularity,
+  currency: range.currency
+});
+
+// Days of a bucket that count for averages: future days are left out
+const getElapsedBucketDays = (bucket, today) => {
+  const end = bucket.endDate > today ? today : bucket.endDate;
+  return Math.max(diffInDays(bucket.startDate, end) + 1, 0);
+};
+
+const querySpendingRows = (userId, range) => {
+  const bucket = bucketSql(localDateSql(range), range.granularity, range.weekStartDay);
+  const amount = amountSql(userId, range);
+
+  // Transactions without a rate into the report currency are counted but not summed
+  return prisma.$queryRaw`
+    SELECT ${bucket} AS bucket,
+      SUM(${spentSql(amount)}) AS spent,
+      SUM(${incomeSql(amount)}) AS income,
+      SUM(${savedSql(amount)}) AS saved,
+      COUNT(*) AS transactionCount,
+      SUM(CASE WHEN ${amount} IS NULL THEN 1 ELSE 0 END) AS unconvertedCount
+    FROM transactions t
+    JOIN savings s ON s.id = t.savingId
+    WHERE ${transactionRangeSql(userId, range)}
+    GROUP BY bucket
+    ORDER BY bucket`;
+};
+
+// Spending, income and deposits per bucket with the average daily spend
+export const getSpendingReport = async (userId, range) => {
+  const rows = await querySpendingRows(userId, range);
+  const byPeriod = new Map(rows.map(row => [toPeriod(row.bucket), row]));
+
+  const periods = listBuckets(range).map(bucket => {
+    const row = byPeriod.get(bucket.period);
+    const spent = toMoney(row?.spent);
+    const elapsedDays = getElapsedBucketDays(bucket, range.today);
+
+    return {
+      period: bucket.period,
+      startDate: formatISODate(bucket.startDate),
+      endDate: formatISODate(bucket.endDate),
+      spent,
+      income: toMoney(row?.income),
+      saved: toMoney(row?.saved),
+      transactionCount: toNumber(row?.transactionCount),
+      unconvertedCount: toNumber(row?.unconvertedCount),
+      averageDailySpent: divideMoney(spent, elapsedDays)
+    };
+  });
+
+  const totalSpent = sumMoney(periods.map(period => period.spent));
+  const elapsedDays = getElapsedBucketDays({ startDate: range.from, endDate: range.to }, range.today);
+
+  return {
+    range: rangeInfo(range),
+    totals: {
+      spent: totalSpent,
+      income: sumMoney(periods.map(period => period.income)),
+      saved: sumMoney(periods.map(period => period.saved)),
+      transactionCount: periods.reduce((sum, period) => sum + period.transactionCount, 0),
+      unconvertedCount: periods.reduce((sum, period) => sum + period.unconvertedCount, 0),
+      averageDailySpent: divideMoney(totalSpent, elapsedDays)
+    },
+    periods
+  };
+};
+
+// Biggest expenses of the whole range and of every bucket
+export const getTopExpensesReport = async (userId, range, limit) => {
+  const bucket = bucketSql(localDateSql(range), range.granularity, range.weekStartDay);
+
+  const amount = amountSql(userId, range);
+
+  const rows = await prisma.$queryRaw`
+    SELECT ranked.* FROM (
+      SELECT t.id, ${amount} AS amount, t.description, t.\`date\`, t.categoryId, c.name AS categoryName,
+        COALESCE(t.originalAmount, t.amount) AS originalAmount, COALESCE(t.currency, s.currency) AS originalCurrency,
+        ${bucket} AS bucket,
+        ROW_NUMBER() OVER (PARTITION BY ${bucket} ORDER BY ${amount} DESC, t.id) AS position
+      FROM transactions t
+      JOIN savings s ON s.id = t.savingId
+      LEFT JOIN categories c ON c.id = t.categoryId
+      WHERE ${transactionRangeSql(userId, range)} AND t.\`type\` = 'expense'
+    ) ranked
+    WHERE ranked.position <= ${limit}
+    ORDER BY ranked.bucket, ranked.position`;
+
+  const toExpense = (row) => ({
+    id: row.id,
+    amount: row.amount === null ? null : toMoney(row.amount),
+    originalAmount: toMoney(row.originalAmount),
+    originalCurrency: row.originalCurrency,
+    description: row.description,
+    date: row.date,
+    categoryId: row.categoryId,
+    category: row.categoryName
+  });
+
+  const periods = new Map();
+  for (const row of rows) {
+    const period = toPeriod(row.bucket);
+    periods.set(period, [...(periods.get(period) || []), toExpense(row)]);
+  }
+
+  // The overall top N is always among the top N of the buckets
+  const top = rows
+    .map(toExpense)
+    .sort((a, b) => b.amount - a.amount || a.id - b.id)
+    .slice(0, limit);
+
+  return {
+    range: rangeInfo(range),
+    top,
+    periods: [...periods].map(([period, expenses]) => ({ period, expenses }))
+  };
+};
+
+// Spending per day of the week, over the whole range and per bucket
+export const getWeekdayReport = async (userId, range) => {
+  const localDate = localDateSql(range);
+  const bucket = bucketSql(localDate, range.granularity, range.weekStartDay);
+
+  const rows = await prisma.$queryRaw`
+    SELECT ${bucket} AS bucket,
+      DAYOFWEEK(${localDate}) - 1 AS weekday,
+      SUM(${spentSql(amountSql(userId, range))}) AS spent,
+      COUNT(*) AS transactionCount
+    FROM transactions t
+    JOIN savings s ON s.id = t.savingId
+    WHERE ${transactionRangeSql(userId, range)} AND t.\`type\` IN ('expense', 'refund')
+    GROUP BY bucket, weekday
+    ORDER BY bucket, weekday`;
+
+  // Weekdays in the user's order, named in their locale (2023-01-01 was a Sunday)
+  const nameFormat = new Intl.DateTimeFormat(range.locale, { weekday: 'long', timeZone: 'UTC' });
+  const weekdays = Array.from({ length: 7 }, (_, index) => (range.weekStartDay + index) % 7);
+
+  // How often each weekday occurs in the range, for the average per occurrence
+  const occurrences = new Array(7).fill(0);
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    occurrences[date.getUTCDay()]++;
+  }
+
+  const totals = weekdays.map(weekday => {
+    const matching = rows.filter(row => toNumber(row.weekday) === weekday);
+    const spent = sumMoney(matching.map(row => row.spent));
+
+    return {
+      weekday,
+      name: nameFormat.format(toUTCDate(2023, 1, 1 + weekday)),
+      spent,
+      transactionCount: matching.reduce((sum, row) => sum + toNumber(row.transactionCount), 0),
+      averageSpent: divideMoney(spent, occurrences[weekday])
+    };
+  });
+
+  const periods = listBuckets(range).map(({ period }) => ({
+    period,
+    weekdays: weekdays.map(weekday => {
+      const row = rows.find(candidate => toPeriod(candidate.bucket) === period && toNumber(candidate.weekday) === weekday);
+      return { weekday, spent: toMoney(row?.spent) };
+    })
+  }));
+
+  return {
+    range: rangeInfo(range),
+    weekdays: totals,
+    periods
+  };
+};
+
+// Share of income that was saved, per bucket of the saving periods' start dates.
+// Saved = saving target + deposits; income = period income + extra income.
+// A period is converted as a whole with the rate of its first day.
+export const getSavingsRateReport = async (userId, range) => {
+  const bucket = bucketSql(Prisma.sql`s.startDate`, range.granularity, range.weekStartDay);
+  const rate = rateSql(userId, range, Prisma.sql`s.currency`, Prisma.sql`s.startDate`);
+  const amount = Prisma.sql`t.amount`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT ${bucket} AS bucket,
+      COUNT(*) AS periodCount,
+      SUM(s.monthlyIncome * ${rate}) AS plannedIncome,
+      SUM(s.savingTarget * ${rate}) AS savingTarget,
+      SUM(s.availableAmount * ${rate}) AS availableAmount,
+      SUM(COALESCE(totals.income, 0) * ${rate}) AS income,
+      SUM(COALESCE(totals.saved, 0) * ${rate}) AS saved,
+      SUM(COALESCE(totals.spent, 0) * ${rate}) AS spent
+    FROM savings s
+    LEFT JOIN (
+      SELECT t.savingId,
+        SUM(${incomeSql(amount)}) AS income,
+        SUM(${savedSql(amount)}) AS saved,
+        SUM(${spentSql(amount)}) AS spent
+      FROM transactions t
+      WHERE t.userId = ${userId}
+      GROUP BY t.savingId
+    ) totals ON totals.savingId = s.id
+    WHERE s.userId = ${userId} AND s.startDate >= ${range.from} AND s.startDate <= ${range.to}
+    GROUP BY bucket
+    ORDER BY bucket`;
+
+  const periods = rows.map(row => {
+    const totalIncome = sumMoney([row.plannedIncome, row.income]);
+    const savedAmount = sumMoney([row.savingTarget, row.saved]);
+    const leftover = subtractMoney(sumMoney([row.availableAmount, row.income]), row.saved, row.spent);
+
+    return {
+      period: toPeriod(row.bucket),
+      periodCount: toNumber(row.periodCount),
+      income: totalIncome,
+      saved: savedAmount,
+      spent: toMoney(row.spent),
+      leftover,
+      savingsRate: totalIncome > 0 ? savedAmount / totalIncome : null,
+      // Counting what was not spent as saved too
+      effectiveSavingsRate: totalIncome > 0 ? sumMoney([savedAmount, Math.max(leftover, 0)]) / totalIncome : null
+    };
+  });
+
+  const income = sumMoney(periods.map(period => period.income));
+  const saved = sumMoney(periods.map(period => period.saved));
+
+  return {
+    range: rangeInfo(range),
+    totals: {
+      income,
+      saved,
+      savingsRate: income > 0 ? saved / income : null
+    },
+    periods
+  };
+};
+
+// Every bucket compared with the one before it (month-over-month, week-over-week...), per category too
+export const getComparisonReport = async (userId, range) => {
+  // Start one bucket earlier so the first bucket has something to compare with
+  const firstStart = getBucketStart(range.from, range.granularity, range.weekStartDay);
+  const previousStart = getBucketStart(addDays(firstStart, -1), range.granularity, range.weekStartDay);
+  const extended = { ...range, from: previousStart, startInstant: getStartOfDay(previousStart, range.timeZone) };
+  const bucket = bucketSql(localDateSql(extended), range.granularity, range.weekStartDay);
+
+  const rows = await prisma.$queryRaw`
+    SELECT ${bucket} AS bucket, t.categoryId, c.name AS categoryName,
+      SUM(${spentSql(amountSql(userId, extended))}) AS spent
+    FROM transactions t
+    JOIN savings s ON s.id = t.savingId
+    LEFT JOIN categories c ON c.id = t.categoryId
+    WHERE ${transactionRangeSql(userId, extended)} AND t.\`type\` IN ('expense', 'refund')
+    GROUP BY bucket, t.categoryId, c.name
+    ORDER BY bucket`;
+
+  const compare = (spent, previousSpent) => ({
+    spent,
+    previousSpent,
+    change: subtractMoney(spent, previousSpent),
+    changePercent: previousSpent > 0 ? subtractMoney(spent, previousSpent) / previousSpent : null
+  });
+
+  const buckets = listBuckets(extended);
+  const periods = [];
+
+  for (let index = 1; index < buckets.length; index++) {
+    const current = rows.filter(row => toPeriod(row.bucket) === buckets[index].period);
+    const previous = rows.filter(row => toPeriod(row.bucket) === buckets[index - 1].period);
+    const sum = (items) => sumMoney(items.map(row => row.spent));
+
+    const categoryIds = [...new Set([...current, ...previous].map(row => row.categoryId))];
+    const categories = categoryIds.map(categoryId => {
+      const now = current.filter(row => row.categoryId === categoryId);
+      const before = previous.filter(row => row.categoryId === categoryId);
+      return {
+        categoryId,
+        name: (now[0] || before[0]).categoryName ?? 'uncategorized',
+        ...compare(sum(now), sum(before))
+      };
+    }).sort((a, b) => b.change - a.change);
+
+    periods.push({
+      period: buckets[index].period,
+      previousPeriod: buckets[index - 1].period,
+      ...compare(sum(current), sum(previous)),
+      categories
+    });
+  }
+
+  return {
+    range: rangeInfo(range),
+    periods
+  };
+};
+
+// Buckets in which spending stayed within the daily budgets of the active saving periods,
+// with the current and the longest streak. Only completed buckets count.
+export const getStreakReport = async (userId, range) => {
+  const [dailyRows, savings] = await Promise.all([
+    // Daily budgets are in their period's currency, so spending is compared unconverted
+    querySpendingRows(userId, { ...range, granularity: 'day', currency: null }),
+    prisma.saving.findMany({
+      where: { userId, startDate: { lte: range.to }, endDate: { gte: range.from } },
+      select: { startDate: true, endDate: true, dailyBudget: true }
+    })
+  ]);
+
+  const spentByDay = new Map(dailyRows.map(row => [toPeriod(row.bucket), toMoney(row.spent)]));
+
+  const periods = listBuckets(range)
+    .filter(bucket => bucket.endDate < range.today)
+    .map(bucket => {
+      let spent = 0;
+      let budget = 0;
+      let coveredDays = 0;
+
+      for (let date = bucket.startDate; date <= bucket.endDate; date = addDays(date, 1)) {
+        spent = sumMoney([spent, spentByDay.get(formatISODate(date))]);
+
+        const saving = pickActivePeriod(savings.filter(candidate => isDateInPeriod(date, candidate)));
+        if (saving) {
+          budget = sumMoney([budget, saving.dailyBudget]);
+          coveredDays++;
+        }
+      }
+
+      return {
+        period: bucket.period,
+        spent,
+        budget: coveredDays > 0 ? budget : null,
+        // null when no saving period covers the bucket; that breaks a streak too
+        hit: coveredDays > 0 ? spent <= budget : null
+      };
+    });
+
+  let longestStreak = 0;
+  let streak = 0;
+  for (const period of periods) {
+    streak = period.hit ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+
+  return {
+    range: rangeInfo(range),
+    currentStreak: streak,
+    longestStreak,
+    hitCount: periods.filter(period => period.hit).length,
+    periods
+  };
+};
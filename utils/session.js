@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are stored as a SHA-256 hash, never in plain text
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Build a short device label from the request
+const describeDevice = (req) => {
+  const device = req.body?.deviceName || req.headers['user-agent'] || 'Unknown device';
+  return String(device).slice(0, 191);
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh token format: <sessionId>.<secret>, only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [id, secret] = refreshToken.split('.');
+  const sessionId = parseInt(id);
+  if (!sessionId || !secret) return null;
+
+  return { sessionId, secret };
+};
+
+// Create a new session and return an access/refresh token pair
+export const createSession = async (userId, req) => {
+  const secret = generateSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      tokenHash: hashToken(secret),
+      device: describeDevice(req),
+      ipAddress: req.ip || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    token: signAccessToken(userId, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is not usable.
+export const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  // An old (already rotated) token means it leaked: kill the whole session
+  if (session.tokenHash !== presentedHash) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const newSecret = generateSecret();
+
+  // Only rotate if nobody else rotated it in the meantime
+  const result = await prisma.session.updateMany({
+    where: { id: session.id, tokenHash: presentedHash, revokedAt: null },
+    data: {
+      tokenHash: hashToken(newSecret),
+      lastUsedAt: new Date(),
+      ipAddress: req.ip || session.ipAddress,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  if (result.count === 0) return null;
+
+  return {
+    token: signAccessToken(session.userId, session.id),
+    refreshToken: `${session.id}.${newSecret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+export const revokeSession = async (sessionId) => {
+  return prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+export const revokeAllSessions = async (userId) => {
+  return prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
@@ -0,0 +1,195 @@
+import { PrismaClient } from '@prisma/client';
+import { getStartOfDay } from './dates.js';
+import { pickActivePeriod } from './periods.js';
+import { loadRateLookup, convertTransactionAmount } from './currency.js';
+import { moneyFields, allocateMoney, parseMoney, sumMoney, subtractMoney, toCents } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Split bills. The payer of an expense splits it between participants: registered users or
+// contacts (named friends without an account, kept by the payer). Every share of someone other
+// than the payer is a debt to the payer. A settlement records money paid back between two people;
+// it is booked into their saving periods so budgets stay right: the one who gets money back
+// gets a refund (the expense was theirs only in part), the one who pays gets an expense.
+// Balances are never stored, they are summed from shares and settlements per pair and currency.
+
+export const SPLIT_METHODS = ['equal', 'shares', 'exact'];
+
+// Seen from the user who records the settlement
+export const SETTLEMENT_DIRECTIONS = ['received', 'paid'];
+
+// Amounts of the participants ({ shares?, amount? }) of a split of `total`.
+// Returns { data: [amount] } or { error }.
+export const computeShares = (total, method, participants) => {
+  if (method === 'equal') {
+    return { data: allocateMoney(total, participants.map(() => 1)) };
+  }
+
+  if (method === 'shares') {
+    const weights = participants.map(participant => Number(participant.shares));
+    if (weights.some(weight => !Number.isInteger(weight) || weight < 1)) {
+      return { error: 'Every participant needs a whole number of shares of at least 1' };
+    }
+    return { data: allocateMoney(total, weights) };
+  }
+
+  const amounts = participants.map(participant => parseMoney(participant.amount));
+  if (amounts.some(amount => amount === null || amount < 0)) {
+    return { error: 'Every participant needs an amount of 0 or more' };
+  }
+  if (toCents(sumMoney(amounts)) !== toCents(total)) {
+    return { error: `The amounts add up to ${sumMoney(amounts)} instead of ${total}` };
+  }
+  return { data: amounts };
+};
+
+// Who a share, settlement or balance is with
+const userParty = (user) => ({ type: 'user', id: user.id, name: user.name });
+const contactParty = (contact) => ({ type: 'contact', id: contact.id, name: contact.name });
+
+export const formatSplit = (split, userId) => {
+  const shares = split.shares.map(share => ({
+    participant: share.user ? userParty(share.user) : contactParty(share.contact),
+    shares: share.shares,
+    amount: share.amount
+  }));
+
+  return {
+    id: split.id,
+    transactionId: split.transactionId,
+    description: split.description,
+    method: split.method,
+    totalAmount: split.totalAmount,
+    currency: split.currency,
+    date: split.date,
+    payer: userParty(split.payer),
+    shares,
+    // What the user owes for it (0 for the payer)
+    yourDebt: split.payerId === userId
+      ? 0
+      : sumMoney(split.shares.filter(share => share.userId === userId).map(share => share.amount)),
+    createdAt: split.createdAt
+  };
+};
+
+export const splitInclude = {
+  payer: { select: { id: true, name: true } },
+  shares: {
+    include: {
+      user: { select: { id: true, name: true } },
+      contact: { select: { id: true, name: true } }
+    },
+    orderBy: { id: 'asc' }
+  }
+};
+
+// A settlement from the side of `userId`, who may have recorded it or be its counterpart
+export const formatSettlement = (settlement, userId) => {
+  const recordedByUser = settlement.userId === userId;
+  const flipped = settlement.direction === 'received' ? 'paid' : 'received';
+
+  return {
+    id: settlement.id,
+    counterpart: recordedByUser
+      ? (settlement.counterpartUser ? userParty(settlement.counterpartUser) : contactParty(settlement.contact))
+      : userParty(settlement.user),
+    direction: recordedByUser ? settlement.direction : flipped,
+    amount: settlement.amount,
+    currency: settlement.currency,
+    date: settlement.date,
+    note: settlement.note,
+    recordedByYou: recordedByUser,
+    // Booked transaction of this side, null when no saving period covered the date
+    transactionId: recordedByUser ? settlement.transactionId : settlement.counterpartTransactionId,
+    createdAt: settlement.createdAt
+  };
+};
+
+export const settlementInclude = {
+  user: { select: { id: true, name: true } },
+  counterpartUser: { select: { id: true, name: true } },
+  contact: { select: { id: true, name: true } }
+};
+
+// Running balances of a user with everyone they split with, per currency.
+// A positive balance means the other side owes the user. Settled pairs are left out.
+export const getBalances = async (userId) => {
+  const [paidShares, owedShares, settlements] = await Promise.all([
+    // Shares of others in bills the user paid
+    prisma.splitShare.findMany({
+      where: { split: { payerId: userId }, OR: [{ userId: { not: userId } }, { userId: null }] },
+      include: { split: { select: { currency: true } }, user: { select: { id: true, name: true } }, contact: true }
+    }),
+    // The user's shares in bills others paid
+    prisma.splitShare.findMany({
+      where: { userId, split: { payerId: { not: userId } } },
+      include: { split: { select: { currency: true, payer: { select: { id: true, name: true } } } } }
+    }),
+    prisma.settlement.findMany({
+      where: { OR: [{ userId }, { counterpartUserId: userId }] },
+      include: settlementInclude
+    })
+  ]);
+
+  const balances = new Map();
+  const add = (party, currency, amount) => {
+    const key = `${party.type}:${party.id}:${currency}`;
+    const row = balances.get(key) || { counterpart: party, currency, balance: 0 };
+    row.balance = sumMoney([row.balance, amount]);
+    balances.set(key, row);
+  };
+
+  for (const share of paidShares) {
+    add(share.user ? userParty(share.user) : contactParty(share.contact), share.split.currency, share.amount);
+  }
+  for (const share of owedShares) {
+    add(userParty(share.split.payer), share.split.currency, -share.amount);
+  }
+  for (const settlement of settlements) {
+    const { counterpart, direction, amount, currency } = formatSettlement(settlement, userId);
+    // Money received lowers what they owe, money paid lowers what the user owes
+    add(counterpart, currency, direction === 'received' ? -amount : amount);
+  }
+
+  return [...balances.values()]
+    .filter(row => toCents(row.balance) !== 0)
+    .sort((a, b) => b.balance - a.balance);
+};
+
+// Totals of balances per currency: what others owe the user and what the user owes
+export const summarizeBalances = (balances) => {
+  const totals = new Map();
+  for (const { currency, balance } of balances) {
+    const total = totals.get(currency) || { currency, owedToYou: 0, youOwe: 0, net: 0 };
+    if (balance > 0) total.owedToYou = sumMoney([total.owedToYou, balance]);
+    else total.youOwe = subtractMoney(total.youOwe, balance);
+    total.net = sumMoney([total.net, balance]);
+    totals.set(currency, total);
+  }
+  return [...totals.values()];
+};
+
+// Book a settlement into the user's own saving period covering the calendar date `day`. Returns
+// the transaction, or null when there is no period for the day or no rate to its currency.
+export const bookSettlement = async (prisma, user, { type, amount, currency, day, description }) => {
+  const savings = await prisma.saving.findMany({
+    where: { userId: user.id, startDate: { lte: day }, endDate: { gte: day } }
+  });
+  const saving = pickActivePeriod(savings);
+  if (!saving) return null;
+
+  const lookup = await loadRateLookup(user.id, [currency, saving.currency]);
+  const { data, error } = convertTransactionAmount(lookup, { amount, currency, saving, date: day });
+  if (error) return null;
+
+  return prisma.transaction.create({
+    data: {
+      userId: user.id,
+      savingId: saving.id,
+      type,
+      description,
+      date: getStartOfDay(day, user.timezone),
+      ...data
+    }
+  });
+};
@@ -0,0 +1,124 @@
+import { formatMoney } from './money.js';
+
+// Printable HTML statement of a monthly period, from the data of GET /api/savings/:year/:month
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const TYPE_LABELS = {
+  expense: 'Pengeluaran',
+  income: 'Pemasukan',
+  saving: 'Setor tabungan',
+  refund: 'Pengembalian'
+};
+
+// Amounts in the period's currency, dates in the user's locale
+const createFormatters = (user, saving) => {
+  const currency = saving.currency || user.currency;
+
+  const calendarDate = new Intl.DateTimeFormat(user.locale, { dateStyle: 'medium', timeZone: 'UTC' });
+  const localDate = new Intl.DateTimeFormat(user.locale, { dateStyle: 'medium', timeZone: user.timezone });
+
+  return {
+    money: (value) => formatMoney(value, currency, user.locale),
+    // Amount in the currency it was paid in
+    original: (transaction) => formatMoney(transaction.originalAmount, transaction.currency, user.locale),
+    // Period dates are calendar dates, transaction dates are instants shown in the user's timezone
+    period: (date) => calendarDate.format(date),
+    date: (date) => localDate.format(date),
+    month: (saving) => new Intl.DateTimeFormat(user.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+      .format(saving.startDate)
+  };
+};
+
+const row = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+
+export const renderMonthlyStatement = (user, { saving, summary }) => {
+  const format = createFormatters(user, saving);
+  const title = `Laporan ${format.month(saving)}`;
+
+  const overview = [
+    ['Uang bulanan', format.money(saving.monthlyIncome)],
+    ['Target tabungan', format.money(saving.savingTarget)],
+    ['Dana tersedia', format.money(saving.availableAmount)],
+    ['Pemasukan tambahan', format.money(summary.totalIncome)],
+    ['Setor tabungan', format.money(summary.totalSaved)],
+    ['Total pengeluaran', format.money(summary.totalSpent)],
+    ['Sisa anggaran', format.money(summary.remainingBudget)],
+    ['Rencana belanja', format.money(summary.plannedAmount)]
+  ].map(([label, value]) => row([escapeHtml(label), value])).join('');
+
+  const categories = summary.categories.map(category => row([
+    escapeHtml(`${category.icon || ''} ${category.name}`.trim()),
+    format.money(category.spent),
+    category.limit !== null ? format.money(category.limit) : '-',
+    category.overLimit ? '<strong>Melebihi batas</strong>' : ''
+  ])).join('');
+
+  // Shared periods only
+  const members = (summary.members || []).map(member => row([
+    escapeHtml(member.name || 'Mantan anggota'),
+    format.money(member.contributed),
+    format.money(member.saved),
+    format.money(member.spent)
+  ])).join('');
+
+  // Oldest first, like a bank statement
+  const transactions = [...saving.transactions].reverse().map(transaction => row([
+    format.date(new Date(transaction.date)),
+    escapeHtml(TYPE_LABELS[transaction.type] || transaction.type),
+    escapeHtml(transaction.category?.name || '-'),
+    escapeHtml(transaction.description),
+    `<span class="${transaction.type === 'income' || transaction.type === 'refund' ? 'in' : 'out'}">${format.money(transaction.amount)}</span>` +
+      (transaction.currency ? `<br><small class="muted">${escapeHtml(format.original(transaction))}</small>` : '')
+  ])).join('');
+
+  const warnings = summary.warnings.map(warning => `<li>${escapeHtml(warning.message)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(user.locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+  h1 { margin-bottom: 0; }
+  .muted { color: #6b7280; margin-top: 0.25rem; }
+  table { width: 100%; border-collapse: collapse; margin: 1rem 0 2rem; }
+  th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  td:last-child, th:last-child { text-align: right; }
+  .in { color: #047857; }
+  .out { color: #b91c1c; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${escapeHtml(user.name)} &middot; ${format.period(saving.startDate)} &ndash; ${format.period(saving.endDate)}</p>
+
+<h2>Ringkasan</h2>
+<table>${overview}</table>
+
+${categories ? `<h2>Per kategori</h2>
+<table>${row(['Kategori', 'Terpakai', 'Batas', ''], 'th')}${categories}</table>` : ''}
+
+${members ? `<h2>Per anggota</h2>
+<table>${row(['Anggota', 'Pemasukan', 'Setor tabungan', 'Pengeluaran'], 'th')}${members}</table>` : ''}
+
+${warnings ? `<h2>Peringatan</h2>
+<ul>${warnings}</ul>` : ''}
+
+<h2>Transaksi</h2>
+${transactions
+    ? `<table>${row(['Tanggal', 'Jenis', 'Kategori', 'Keterangan', 'Jumlah'], 'th')}${transactions}</table>`
+    : '<p class="muted">Belum ada transaksi.</p>'}
+
+<p class="muted">Dibuat ${escapeHtml(format.date(new Date()))}</p>
+</body>
+</html>
+`;
+};
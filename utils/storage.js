@@ -0,0 +1,46 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// A storage is any object with async put(key, buffer, contentType), get(key) -> readable stream
+// and remove(key) methods. Other backends (S3 compatible) can be plugged in with setStorage().
+
+// Keys are generated by the server, but never let one point outside the storage directory
+const resolveKey = (directory, key) => {
+  const filePath = path.resolve(directory, key);
+  if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Stores files on the local disk, one folder per key prefix
+export const createLocalStorage = (directory) => ({
+  name: 'local',
+  async put(key, buffer) {
+    const filePath = resolveKey(directory, key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+  },
+  async get(key) {
+    const filePath = resolveKey(directory, key);
+    // Fail here (ENOENT) instead of in the middle of the response
+    await fsp.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+  async remove(key) {
+    try {
+      await fsp.unlink(resolveKey(directory, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+});
+
+let storage = createLocalStorage(process.env.STORAGE_DIR || path.join(process.cwd(), 'uploads'));
+
+export const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+export const getStorage = () => storage;
@@ -0,0 +1,152 @@
+import { parseISODate } from './dates.js';
+import { TODO_PRIORITIES } from './todos.js';
+
+// Query parsing for GET /api/todos: filters, search, sort and offset pagination
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 200;
+
+export const SORT_FIELDS = ['createdAt', 'dueDate', 'priority', 'position', 'title'];
+
+// Newest and most important first, everything else in reading order
+const DEFAULT_ORDERS = { createdAt: 'desc', dueDate: 'asc', priority: 'desc', position: 'asc', title: 'asc' };
+
+const parseIdList = (value) => {
+  const ids = String(value).split(',').map(id => Number(id));
+  return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+};
+
+const parseBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+// Every word has to be in the title or the description
+const buildSearchFilters = (q) => String(q)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => ({
+    OR: [
+      { title: { contains: word } },
+      { description: { contains: word } }
+    ]
+  }));
+
+// Turn the query string into Prisma arguments, returns { data } or { error }.
+// `scope` is the where fragment of the todos the user may see. The completed filter is kept
+// apart from `where` so the open and done todos matching the other filters can be counted at once.
+export const parseTodoQuery = (query, { scope, today }) => {
+  const filters = [scope];
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}` };
+  }
+
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a whole number of 0 or more' };
+  }
+
+  const sort = query.sort ?? 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  const order = query.order ?? DEFAULT_ORDERS[sort];
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  let completed;
+  if (query.completed !== undefined) {
+    completed = parseBoolean(query.completed);
+    if (completed === null) {
+      return { error: 'completed must be true or false' };
+    }
+  }
+
+  if (query.savingId !== undefined) {
+    const savingIds = parseIdList(query.savingId);
+    if (!savingIds) {
+      return { error: 'savingId must be a list of saving IDs' };
+    }
+    filters.push({ savingId: { in: savingIds } });
+  }
+
+  // Subtasks of one or more todos, "none" for top-level todos only
+  if (query.parentId !== undefined) {
+    if (query.parentId === 'none') {
+      filters.push({ parentId: null });
+    } else {
+      const parentIds = parseIdList(query.parentId);
+      if (!parentIds) {
+        return { error: 'parentId must be a list of todo IDs or "none"' };
+      }
+      filters.push({ parentId: { in: parentIds } });
+    }
+  }
+
+  if (query.priority !== undefined) {
+    const priorities = String(query.priority).split(',');
+    if (priorities.some(priority => !TODO_PRIORITIES.includes(priority))) {
+      return { error: `priority must be a list of: ${TODO_PRIORITIES.join(', ')}` };
+    }
+    filters.push({ priority: { in: priorities.map(priority => TODO_PRIORITIES.indexOf(priority)) } });
+  }
+
+  // Todos with any of the tags
+  if (query.tag !== undefined) {
+    const tags = String(query.tag).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tags.length === 0) {
+      return { error: 'tag must be a list of tag names' };
+    }
+    filters.push({ tags: { some: { name: { in: tags } } } });
+  }
+
+  // Due date range, both ends included
+  if (query.dueFrom !== undefined) {
+    const dueFrom = parseISODate(query.dueFrom);
+    if (!dueFrom) {
+      return { error: 'dueFrom must be in YYYY-MM-DD format' };
+    }
+    filters.push({ dueDate: { gte: dueFrom } });
+  }
+
+  if (query.dueTo !== undefined) {
+    const dueTo = parseISODate(query.dueTo);
+    if (!dueTo) {
+      return { error: 'dueTo must be in YYYY-MM-DD format' };
+    }
+    filters.push({ dueDate: { lte: dueTo } });
+  }
+
+  // Open todos whose due date is before today in the user's timezone
+  if (query.overdue !== undefined) {
+    const overdue = parseBoolean(query.overdue);
+    if (overdue === null) {
+      return { error: 'overdue must be true or false' };
+    }
+    filters.push(overdue
+      ? { completed: false, dueDate: { lt: today } }
+      : { OR: [{ completed: true }, { dueDate: null }, { dueDate: { gte: today } }] });
+  }
+
+  if (query.q !== undefined) {
+    filters.push(...buildSearchFilters(query.q));
+  }
+
+  // Open todos first; todos without a due date go last when sorting by it
+  const sortField = sort === 'dueDate' ? { dueDate: { sort: order, nulls: 'last' } } : { [sort]: order };
+
+  return {
+    data: {
+      where: { AND: filters },
+      completed,
+      orderBy: [{ completed: 'asc' }, sortField, { id: order }],
+      limit,
+      offset
+    }
+  };
+};
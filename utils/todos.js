@@ -0,0 +1,165 @@
+import { PrismaClient } from '@prisma/client';
+import { isDateInPeriod, pickActivePeriod } from './periods.js';
+import { moneyFields } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Todos as shopping lists. A todo with an estimated cost is a planned purchase: it counts as
+// "planned but not yet spent" in its saving period until it is checked off. The period is the
+// one the todo targets, otherwise the active period of the same owner covering its due date.
+// Checking it off can book the purchase as an expense with the actual amount.
+// Todos can also have a priority, tags of their creator and nested subtasks; a todo shows how
+// many of its direct subtasks are done. `position` keeps the manual order within one list.
+
+// Stored as the index in this list
+export const TODO_PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+// A todo, its subtasks and their subtasks
+export const MAX_TODO_DEPTH = 3;
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+export const todoInclude = {
+  tags: { select: { name: true }, orderBy: { name: 'asc' } }
+};
+
+// A todo as the API returns it (loaded with todoInclude). `progress` is the roll-up of its
+// direct subtasks: { total, completed }.
+export const formatTodo = (todo, progress = { total: 0, completed: 0 }) => ({
+  ...todo,
+  priority: TODO_PRIORITIES[todo.priority] ?? 'none',
+  tags: todo.tags.map(tag => tag.name),
+  subtaskProgress: progress
+});
+
+// Completion roll-up of the direct subtasks of todos: Map of todoId -> { total, completed }
+export const getSubtaskProgress = async (todoIds) => {
+  const progress = new Map(todoIds.map(id => [id, { total: 0, completed: 0 }]));
+  if (todoIds.length === 0) return progress;
+
+  const rows = await prisma.todo.groupBy({
+    by: ['parentId', 'completed'],
+    where: { parentId: { in: todoIds } },
+    _count: { _all: true }
+  });
+
+  for (const row of rows) {
+    const entry = progress.get(row.parentId);
+    entry.total += row._count._all;
+    if (row.completed) entry.completed += row._count._all;
+  }
+
+  return progress;
+};
+
+// Nesting level of a todo: 1 for a top-level todo, 2 for its subtasks and so on
+export const getTodoDepth = async (todo) => {
+  let depth = 1;
+  let parentId = todo.parentId;
+
+  while (parentId && depth <= MAX_TODO_DEPTH) {
+    const parent = await prisma.todo.findUnique({ where: { id: parentId }, select: { parentId: true } });
+    parentId = parent?.parentId;
+    depth++;
+  }
+
+  return depth;
+};
+
+// Position after the last todo of the same list: subtasks of the same todo, or top-level
+// todos of the same owner
+export const getNextPosition = async (todo) => {
+  const siblings = todo.parentId
+    ? { parentId: todo.parentId }
+    : { parentId: null, ...(todo.groupId ? { groupId: todo.groupId } : { userId: todo.userId, groupId: null }) };
+
+  const { _max } = await prisma.todo.aggregate({ where: siblings, _max: { position: true } });
+  return _max.position === null ? 0 : _max.position + 1;
+};
+
+// IDs of the user's tags with these names, creating the missing ones
+export const resolveTags = async (userId, names) => {
+  if (names.length === 0) return [];
+
+  await prisma.todoTag.createMany({
+    data: names.map(name => ({ userId, name })),
+    skipDuplicates: true
+  });
+
+  const tags = await prisma.todoTag.findMany({
+    where: { userId, name: { in: names } },
+    select: { id: true }
+  });
+  return tags.map(tag => tag.id);
+};
+
+// Personal todos go to personal periods of their creator, group todos to periods of their group
+export const isSameOwner = (todo, saving) => (todo.groupId
+  ? saving.groupId === todo.groupId
+  : saving.groupId === null && saving.userId === todo.userId);
+
+// Open planned purchases per saving id for the given periods
+export const getPlannedPurchases = async (savings) => {
+  const planned = new Map();
+  if (savings.length === 0) return planned;
+
+  const from = new Date(Math.min(...savings.map(saving => saving.startDate.getTime())));
+  const to = new Date(Math.max(...savings.map(saving => saving.endDate.getTime())));
+  const owners = [
+    ...savings.filter(saving => saving.groupId).map(saving => ({ groupId: saving.groupId })),
+    ...savings.filter(saving => !saving.groupId).map(saving => ({ userId: saving.userId, groupId: null }))
+  ];
+
+  const [todos, periods] = await Promise.all([
+    prisma.todo.findMany({
+      where: {
+        completed: false,
+        estimatedCost: { not: null },
+        OR: [
+          { savingId: { in: savings.map(saving => saving.id) } },
+          { savingId: null, dueDate: { gte: from, lte: to }, OR: owners }
+        ]
+      },
+      orderBy: [
+        { dueDate: 'asc' },
+        { id: 'asc' }
+      ]
+    }),
+    // Every period of the owners, so a due date lands in the right one even when only a
+    // monthly period was asked for and a weekly one covers the date
+    prisma.saving.findMany({
+      where: { startDate: { lte: to }, endDate: { gte: from }, OR: owners },
+      select: { id: true, userId: true, groupId: true, startDate: true, endDate: true }
+    })
+  ]);
+
+  for (const todo of todos) {
+    const savingId = todo.savingId ?? pickActivePeriod(
+      periods.filter(period => isSameOwner(todo, period) && isDateInPeriod(todo.dueDate, period))
+    )?.id;
+    if (!savingId) continue;
+    planned.set(savingId, [...(planned.get(savingId) || []), todo]);
+  }
+
+  return planned;
+};
+
+// Period a checked off todo is booked into: its target period, otherwise the active period of
+// its owner covering `date`. Returns null when there is none or the target period does not cover `date`.
+export const findBookingPeriod = async (todo, date) => {
+  if (todo.savingId) {
+    const saving = await prisma.saving.findUnique({ where: { id: todo.savingId } });
+    return saving && isDateInPeriod(date, saving) ? saving : null;
+  }
+
+  const candidates = await prisma.saving.findMany({
+    where: {
+      ...(todo.groupId ? { groupId: todo.groupId } : { userId: todo.userId, groupId: null }),
+      startDate: { lte: date },
+      endDate: { gte: date }
+    }
+  });
+
+  return pickActivePeriod(candidates);
+};
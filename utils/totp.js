@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator & co.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// The clock can be replaced so codes can be checked against a fixed time
+let clock = () => Date.now();
+
+export const setTotpClock = (fn) => {
+  clock = fn || (() => Date.now());
+};
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTotpCounter = (timestamp = clock()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+// HOTP value for a counter (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const generateTotp = (secret, timestamp = clock()) => generateHotp(secret, getTotpCounter(timestamp));
+
+// Check a code against the current step and `window` steps around it.
+// Returns the matching counter (to block replays) or null.
+export const verifyTotp = (secret, code, { timestamp = clock(), window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTotpCounter(timestamp);
+  for (let step = -window; step <= window; step++) {
+    const expected = generateHotp(secret, current + step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + step;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,294 @@
+import { PrismaClient } from '@prisma/client';
+import { toUTCDate, formatISODate, parseISODate, getLocalDate, getStartOfDay, addDays } from './dates.js';
+import { isDateInPeriod, pickActivePeriod } from './periods.js';
+import { TRANSACTION_TYPES } from './budget.js';
+import { parseCSV } from './csv.js';
+import { parseCurrency, loadRateLookup, convertTransactionAmount } from './currency.js';
+import { moneyFields, roundMoney, subtractMoney } from './money.js';
+
+const prisma = new PrismaClient().$extends(moneyFields);
+
+// Import of bank / e-wallet statements (CSV or OFX) into transactions
+
+export const IMPORT_FORMATS = ['csv', 'ofx'];
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+export const MAX_IMPORT_ROWS = 2000;
+
+// "Rp 1.500.000,50", "(25.000)" or "-12.5" -> number rounded to cents, null when unreadable
+export const parseAmountText = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+  text = text
+    .replace(/[^\d.,]/g, '')
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+
+  const amount = Number(text);
+  if (text === '' || isNaN(amount)) return null;
+
+  return roundMoney(negative ? -amount : amount);
+};
+
+export const parseDateText = (value, format = 'YYYY-MM-DD') => {
+  const text = String(value ?? '').trim();
+
+  if (format === 'YYYY-MM-DD') return parseISODate(text.slice(0, 10));
+
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (!match) return null;
+
+  const [day, month] = format === 'DD/MM/YYYY' ? [match[1], match[2]] : [match[2], match[1]];
+  const date = toUTCDate(parseInt(match[3]), parseInt(month), parseInt(day));
+
+  // Reject dates like 31/02/2026 that Date would roll over
+  return date.getUTCDate() === parseInt(day) && date.getUTCMonth() + 1 === parseInt(month) ? date : null;
+};
+
+// Direction of a signed statement amount: money out is an expense, money in is income
+const typeFromSign = (amount) => (amount < 0 ? 'expense' : 'income');
+
+// Validate the CSV column mapping, returns { data } or { error }
+export const validateMapping = (mapping = {}) => {
+  if (typeof mapping !== 'object' || mapping === null) {
+    return { error: 'Mapping must be an object' };
+  }
+
+  const { date, amount, debit, credit, description, type, category, id } = mapping;
+  const dateFormat = mapping.dateFormat ?? 'YYYY-MM-DD';
+  const decimalSeparator = mapping.decimalSeparator ?? '.';
+
+  if (date === undefined) {
+    return { error: 'Mapping needs a date column' };
+  }
+  if (amount === undefined && debit === undefined && credit === undefined) {
+    return { error: 'Mapping needs an amount column or debit/credit columns' };
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { error: `dateFormat must be one of: ${DATE_FORMATS.join(', ')}` };
+  }
+  if (decimalSeparator !== '.' && decimalSeparator !== ',') {
+    return { error: 'decimalSeparator must be "." or ","' };
+  }
+
+  return {
+    data: {
+      date,
+      amount,
+      debit,
+      credit,
+      description,
+      type,
+      category,
+      id,
+      dateFormat,
+      decimalSeparator,
+      // Some e-wallet exports list spending as positive amounts
+      invertSign: Boolean(mapping.invertSign),
+      delimiter: mapping.delimiter
+    }
+  };
+};
+
+// Turn CSV rows into import rows using the column mapping.
+// Columns are given by header name or by 0-based index.
+export const readCsvStatement = (content, mapping) => {
+  const [header = [], ...lines] = parseCSV(content, mapping.delimiter);
+  const names = header.map(name => name.trim().toLowerCase());
+
+  const columnIndex = (column) => {
+    if (column === undefined || column === null) return -1;
+    if (Number.isInteger(column)) return column;
+    return names.indexOf(String(column).trim().toLowerCase());
+  };
+
+  const columns = {};
+  for (const key of ['date', 'amount', 'debit', 'credit', 'description', 'type', 'category', 'id']) {
+    columns[key] = columnIndex(mapping[key]);
+    if (mapping[key] !== undefined && columns[key] === -1) {
+      return { error: `Column "${mapping[key]}" not found in the CSV header` };
+    }
+  }
+
+  const cell = (cells, key) => (columns[key] >= 0 ? (cells[columns[key]] ?? '').trim() : '');
+
+  const rows = lines.map((cells, index) => {
+    // Line 1 is the header
+    const row = { line: index + 2, description: cell(cells, 'description') };
+
+    row.date = parseDateText(cell(cells, 'date'), mapping.dateFormat);
+    if (!row.date) return { ...row, error: `Date must be in ${mapping.dateFormat} format` };
+
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmountText(cell(cells, 'amount'), mapping.decimalSeparator);
+    } else {
+      const debit = parseAmountText(cell(cells, 'debit'), mapping.decimalSeparator) || 0;
+      const credit = parseAmountText(cell(cells, 'credit'), mapping.decimalSeparator) || 0;
+      amount = subtractMoney(credit, Math.abs(debit));
+    }
+    if (amount === null || amount === 0) return { ...row, error: 'Amount is missing or zero' };
+    if (mapping.invertSign) amount = -amount;
+
+    row.amount = Math.abs(amount);
+    row.type = typeFromSign(amount);
+
+    if (columns.type >= 0 && cell(cells, 'type') !== '') {
+      row.type = cell(cells, 'type').toLowerCase();
+      if (!TRANSACTION_TYPES.includes(row.type)) {
+        return { ...row, error: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+      }
+    }
+
+    row.category = cell(cells, 'category') || null;
+    row.externalId = cell(cells, 'id') || null;
+    return row;
+  });
+
+  return { rows };
+};
+
+// Value of an OFX tag inside a block (SGML style without closing tags, or XML)
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+// OFX dates look like 20261019 or 20261019120000.000[+7:WIB]; only the calendar date is used
+const parseOfxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseISODate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+};
+
+export const readOfxStatement = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const rows = blocks.map((block, index) => {
+    const row = {
+      line: index + 1,
+      description: [ofxTag(block, 'NAME'), ofxTag(block, 'MEMO')].filter(Boolean).join(' - '),
+      category: null,
+      externalId: ofxTag(block, 'FITID') || null
+    };
+
+    row.date = parseOfxDate(ofxTag(block, 'DTPOSTED'));
+    if (!row.date) return { ...row, error: 'DTPOSTED is missing or invalid' };
+
+    const amount = parseAmountText(ofxTag(block, 'TRNAMT'));
+    if (amount === null || amount === 0) return { ...row, error: 'TRNAMT is missing or zero' };
+
+    row.amount = Math.abs(amount);
+    row.type = typeFromSign(amount);
+    return row;
+  });
+
+  if (rows.length === 0 && !/<OFX>/i.test(content)) {
+    return { error: 'Not an OFX file' };
+  }
+
+  return { rows, currency: parseCurrency(ofxTag(content, 'CURDEF')) };
+};
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const duplicateKey = (date, amount, type) => `${formatISODate(date)}|${amount}|${type}`;
+
+// Match every row to a saving period and to existing transactions. Amounts in `currency`
+// are converted into the currency of their period with the rate of the row's date.
+// Each row ends up with a status: new, duplicate, no_period or invalid.
+export const prepareImport = async (userId, rows, { timeZone, currency = null }) => {
+  const dates = rows.filter(row => !row.error).map(row => row.date);
+  if (dates.length === 0) {
+    return rows.map(row => ({ ...row, status: 'invalid' }));
+  }
+
+  const firstDate = new Date(Math.min(...dates));
+  const lastDate = new Date(Math.max(...dates));
+
+  const [savings, categories, existing] = await Promise.all([
+    prisma.saving.findMany({
+      where: { userId, startDate: { lte: lastDate }, endDate: { gte: firstDate } }
+    }),
+    prisma.category.findMany({ where: { userId } }),
+    prisma.transaction.findMany({
+      where: {
+        userId,
+        date: {
+          gte: getStartOfDay(firstDate, timeZone),
+          lt: getStartOfDay(addDays(lastDate, 1), timeZone)
+        }
+      },
+      select: { id: true, date: true, amount: true, originalAmount: true, type: true }
+    })
+  ]);
+
+  const lookup = currency
+    ? await loadRateLookup(userId, [currency, ...savings.map(saving => saving.currency)])
+    : null;
+
+  const existingExternalIds = new Set(
+    (await prisma.transaction.findMany({
+      where: { userId, externalId: { in: rows.map(row => row.externalId).filter(Boolean) } },
+      select: { externalId: true }
+    })).map(transaction => transaction.externalId)
+  );
+
+  // Existing transactions by day/amount/type; each one can only match one imported row,
+  // so two identical purchases on the same day are not both treated as duplicates
+  const unmatched = new Map();
+  for (const transaction of existing) {
+    const key = duplicateKey(getLocalDate(transaction.date, timeZone), transaction.originalAmount ?? transaction.amount, transaction.type);
+    unmatched.set(key, [...(unmatched.get(key) || []), transaction.id]);
+  }
+
+  const categoriesByName = new Map(categories.map(category => [category.name, category.id]));
+  const seenExternalIds = new Set();
+
+  return rows.map(row => {
+    if (row.error) return { ...row, status: 'invalid' };
+
+    const saving = pickActivePeriod(savings.filter(saving => isDateInPeriod(row.date, saving)));
+    const categoryId = row.category ? categoriesByName.get(normalize(row.category)) ?? null : null;
+    const prepared = { ...row, savingId: saving?.id ?? null, categoryId };
+
+    if (saving && lookup) {
+      const { data, error } = convertTransactionAmount(lookup, { amount: row.amount, currency, saving, date: row.date });
+      if (error) return { ...prepared, status: 'invalid', error };
+      Object.assign(prepared, data);
+    }
+
+    if (row.externalId && (existingExternalIds.has(row.externalId) || seenExternalIds.has(row.externalId))) {
+      return { ...prepared, status: 'duplicate' };
+    }
+    if (row.externalId) seenExternalIds.add(row.externalId);
+
+    const matches = unmatched.get(duplicateKey(row.date, row.amount, row.type));
+    if (matches?.length > 0) {
+      return { ...prepared, status: 'duplicate', duplicateOf: matches.shift() };
+    }
+
+    if (!saving) return { ...prepared, status: 'no_period' };
+
+    return { ...prepared, status: 'new' };
+  });
+};
+
+// Row data as stored; statement dates become the start of that day in the user's timezone
+export const toTransactionData = (userId, row, timeZone) => ({
+  userId,
+  savingId: row.savingId,
+  categoryId: row.categoryId,
+  amount: row.amount,
+  type: row.type,
+  description: row.description || '',
+  date: getStartOfDay(row.date, timeZone),
+  externalId: row.externalId,
+  currency: row.currency ?? null,
+  originalAmount: row.originalAmount ?? null,
+  exchangeRate: row.exchangeRate ?? null
+});
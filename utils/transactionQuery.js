@@ -0,0 +1,206 @@
+import { parseISODate, addDays, getStartOfDay } from './dates.js';
+import { TRANSACTION_TYPES } from './budget.js';
+
+// Query parsing for GET /api/transactions: filters, search, sort and cursor pagination
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+
+export const SORT_FIELDS = ['date', 'amount', 'createdAt'];
+
+// Shorter words are not in MySQL's full-text index (innodb_ft_min_token_size)
+const MIN_FULLTEXT_WORD_LENGTH = 3;
+
+const parseIdList = (value) => {
+  const ids = String(value).split(',').map(id => Number(id));
+  return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+};
+
+const parseAmount = (value) => {
+  const amount = Number(value);
+  return value === '' || isNaN(amount) ? null : amount;
+};
+
+// Every word has to match: long words through the full-text index (prefix match),
+// short ones with a plain substring match
+const buildSearchFilters = (q) => {
+  const words = String(q)
+    .split(/\s+/)
+    .map(word => word.replace(/[+\-<>()~*"@]/g, ''))
+    .filter(Boolean);
+
+  const longWords = words.filter(word => word.length >= MIN_FULLTEXT_WORD_LENGTH);
+  const shortWords = words.filter(word => word.length < MIN_FULLTEXT_WORD_LENGTH);
+
+  return [
+    ...(longWords.length > 0 ? [{ description: { search: longWords.map(word => `+${word}*`).join(' ') } }] : []),
+    ...shortWords.map(word => ({ description: { contains: word } }))
+  ];
+};
+
+// Cursors are opaque to clients: the sort value and id of the last item of a page
+export const encodeCursor = (transaction, { sort, order }) => {
+  const value = transaction[sort] instanceof Date ? transaction[sort].toISOString() : transaction[sort];
+  return Buffer.from(JSON.stringify({ sort, order, value, id: transaction.id })).toString('base64url');
+};
+
+// A cursor only fits the sort order it was created with
+const decodeCursor = (cursor, sort, order) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (data.sort !== sort || data.order !== order || !Number.isInteger(data.id)) return null;
+
+    const value = sort === 'amount' ? data.value : new Date(data.value);
+    if (sort === 'amount' ? typeof value !== 'number' : isNaN(value.getTime())) return null;
+
+    return { value, id: data.id };
+  } catch {
+    return null;
+  }
+};
+
+// Items after the cursor in (sort, id) order, so rows added meanwhile never shift a page
+const buildCursorFilter = ({ value, id }, sort, order) => {
+  const direction = order === 'asc' ? 'gt' : 'lt';
+  return {
+    OR: [
+      { [sort]: { [direction]: value } },
+      { [sort]: value, id: { [direction]: id } }
+    ]
+  };
+};
+
+// Turn the query string into Prisma arguments, returns { data } or { error }.
+// `scope` is the where fragment of the transactions the user may see.
+export const parseTransactionQuery = (query, { scope, timeZone }) => {
+  const filters = [scope];
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  let offset = null;
+  if (query.offset !== undefined) {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: 'offset must be a whole number of 0 or more' };
+    }
+  }
+
+  const sort = query.sort ?? 'date';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  const order = query.order ?? 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  // Date range in the user's timezone, both ends included
+  if (query.from !== undefined) {
+    const from = parseISODate(query.from);
+    if (!from) {
+      return { error: 'from must be in YYYY-MM-DD format' };
+    }
+    filters.push({ date: { gte: getStartOfDay(from, timeZone) } });
+  }
+
+  if (query.to !== undefined) {
+    const to = parseISODate(query.to);
+    if (!to) {
+      return { error: 'to must be in YYYY-MM-DD format' };
+    }
+    filters.push({ date: { lt: getStartOfDay(addDays(to, 1), timeZone) } });
+  }
+
+  if (query.minAmount !== undefined) {
+    const minAmount = parseAmount(query.minAmount);
+    if (minAmount === null) {
+      return { error: 'minAmount must be a number' };
+    }
+    filters.push({ amount: { gte: minAmount } });
+  }
+
+  if (query.maxAmount !== undefined) {
+    const maxAmount = parseAmount(query.maxAmount);
+    if (maxAmount === null) {
+      return { error: 'maxAmount must be a number' };
+    }
+    filters.push({ amount: { lte: maxAmount } });
+  }
+
+  if (query.type !== undefined) {
+    const types = String(query.type).split(',');
+    if (types.some(type => !TRANSACTION_TYPES.includes(type))) {
+      return { error: `type must be a list of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    filters.push({ type: { in: types } });
+  }
+
+  if (query.savingId !== undefined) {
+    const savingIds = parseIdList(query.savingId);
+    if (!savingIds) {
+      return { error: 'savingId must be a list of saving IDs' };
+    }
+    filters.push({ savingId: { in: savingIds } });
+  }
+
+  // Who made the transaction, for shared periods
+  if (query.memberId !== undefined) {
+    const memberIds = parseIdList(query.memberId);
+    if (!memberIds) {
+      return { error: 'memberId must be a list of user IDs' };
+    }
+    filters.push({ userId: { in: memberIds } });
+  }
+
+  // Filter by one or more categories, "none" for uncategorized
+  if (query.categoryId !== undefined) {
+    const ids = String(query.categoryId).split(',');
+    const otherIds = ids.filter(id => id !== 'none');
+    const categoryIds = otherIds.length > 0 ? parseIdList(otherIds.join(',')) : [];
+
+    if (!categoryIds) {
+      return { error: 'categoryId must be a list of category IDs or "none"' };
+    }
+
+    filters.push({
+      OR: [
+        ...(categoryIds.length > 0 ? [{ categoryId: { in: categoryIds } }] : []),
+        ...(ids.includes('none') ? [{ categoryId: null }] : [])
+      ]
+    });
+  }
+
+  if (query.q !== undefined) {
+    filters.push(...buildSearchFilters(query.q));
+  }
+
+  if (query.cursor !== undefined) {
+    if (offset !== null) {
+      return { error: 'Use either cursor or offset, not both' };
+    }
+
+    const cursor = decodeCursor(query.cursor, sort, order);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    filters.push(buildCursorFilter(cursor, sort, order));
+  }
+
+  return {
+    data: {
+      where: { AND: filters },
+      orderBy: [{ [sort]: order }, { id: order }],
+      limit,
+      offset,
+      sort,
+      order
+    }
+  };
+};
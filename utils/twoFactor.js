@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './session.js';
+import { verifyTotp } from './totp.js';
+
+const prisma = new PrismaClient();
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Short-lived token proving the password step of a 2FA login succeeded
+export const signTwoFactorChallenge = (userId) => jwt.sign(
+  { userId, purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the user id of a valid challenge token, or null
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+// Replace all recovery codes of a user and return the new plain codes (shown once)
+export const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(code) }))
+    })
+  ]);
+
+  return codes;
+};
+
+// Verify a TOTP code against a secret, refusing codes that were already used
+export const verifyTotpForUser = async (user, code, secret = user.twoFactorSecret) => {
+  const counter = verifyTotp(secret, code);
+  if (counter === null) return false;
+
+  // Atomically move the last used counter forward so the same code cannot be replayed
+  const result = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastCounter: null },
+        { twoFactorLastCounter: { lt: counter } }
+      ]
+    },
+    data: { twoFactorLastCounter: counter }
+  });
+
+  return result.count === 1;
+};
+
+// Accepts either a TOTP code or an unused recovery code.
+// Returns 'totp', 'recovery' or null.
+export const verifySecondFactor = async (user, code) => {
+  if (!code || !user.twoFactorEnabledAt) return null;
+
+  if (await verifyTotpForUser(user, code)) return 'totp';
+
+  const result = await prisma.recoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(String(code).trim().toLowerCase()),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return result.count === 1 ? 'recovery' : null;
+};
@@ -0,0 +1,98 @@
+import { deflateRawSync } from 'zlib';
+
+// Minimal ZIP writer (deflate, no ZIP64) for exports, so no archive dependency is needed.
+// Each file is written to the output as soon as it is added.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time used by ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+export const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = (buffer) => {
+    output.write(buffer);
+    offset += buffer.length;
+  };
+
+  const addFile = (name, content) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(new Date());
+    const entry = { fileName, crc: crc32(data), size: data.length, compressedSize: compressed.length, time, date, offset };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // local file header signature
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    write(header);
+    write(fileName);
+    write(compressed);
+    entries.push(entry);
+  };
+
+  // Central directory and end record
+  const finish = () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0); // central directory header signature
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed to extract
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      write(header);
+      write(entry.fileName);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    write(end);
+    output.end();
+  };
+
+  return { addFile, finish };
+};